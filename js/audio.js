@@ -19,6 +19,15 @@ export class Audio {
         // Smooth C Major 7 pad (C3, E3, G3, B3)
         this.droneFreqs = [130.81, 164.81, 196.00, 246.94];
         this.pulseInterval = null;
+
+        // Move sounds per terrain: the plain A major chord, a muffled low squelch for mud,
+        // a long glassy ring for ice and a falling minor tone for drain zones
+        this.moveVoices = {
+            floor: { frequencies: [220, 277.18, 329.63], type: 'sine', volume: 0.05, attack: 0.02, duration: 0.3, glide: 1 },
+            mud: { frequencies: [110, 130.81], type: 'triangle', volume: 0.08, attack: 0.06, duration: 0.45, glide: 0.8, lowpass: 350 },
+            ice: { frequencies: [880, 1318.51, 1760], type: 'sine', volume: 0.03, attack: 0.005, duration: 0.6, glide: 1 },
+            drain: { frequencies: [220, 261.63, 311.13], type: 'sine', volume: 0.05, attack: 0.02, duration: 0.4, glide: 0.7 }
+        };
     }
 
     /**
@@ -348,34 +357,192 @@ export class Audio {
     }
 
     /**
-     * Play move sound - gentle harmonic tone
+     * Play locked door sound - a dry metallic rattle of the latch
      */
-    playMove() {
+    playLocked() {
         if (!this.enabled || !this.ctx) return;
         this.resume();
 
         const now = this.ctx.currentTime;
 
-        // Soft harmonic chord
-        const frequencies = [220, 277.18, 329.63]; // A3, C#4, E4 (A major)
+        // Three quick clicks, slightly out of tune with each other
+        [620, 560, 600].forEach((freq, i) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            const time = now + i * 0.06;
+
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(freq, time);
+
+            gain.gain.setValueAtTime(0.04, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain || this.ctx.destination);
+
+            osc.start(time);
+            osc.stop(time + 0.05);
+        });
+    }
+
+    /**
+     * Play one-way passage sound - a soft tone sliding down an octave, like
+     * a valve closing
+     */
+    playOneWay() {
+        if (!this.enabled || !this.ctx) return;
+        this.resume();
+
+        const now = this.ctx.currentTime;
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(520, now);
+        osc.frequency.exponentialRampToValueAtTime(260, now + 0.15);
+
+        gain.gain.setValueAtTime(0.06, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
+
+        osc.connect(gain);
+        gain.connect(this.masterGain || this.ctx.destination);
 
-        frequencies.forEach((freq, i) => {
+        osc.start(now);
+        osc.stop(now + 0.2);
+    }
+
+    /**
+     * Play shift warning - a low rumble that swells and dies away, its two
+     * slightly detuned tones beating against each other
+     * @param {number} [duration=2] - Seconds
+     */
+    playRumble(duration = 2) {
+        if (!this.enabled || !this.ctx) return;
+        this.resume();
+
+        const now = this.ctx.currentTime;
+
+        [38, 41].forEach(freq => {
             const osc = this.ctx.createOscillator();
             const gain = this.ctx.createGain();
 
-            osc.type = 'sine';
+            osc.type = 'triangle';
             osc.frequency.setValueAtTime(freq, now);
 
-            const volume = 0.05 / (i + 1); // Softer for higher harmonics
             gain.gain.setValueAtTime(0, now);
-            gain.gain.linearRampToValueAtTime(volume, now + 0.02);
-            gain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+            gain.gain.linearRampToValueAtTime(0.15, now + duration * 0.7);
+            gain.gain.linearRampToValueAtTime(0, now + duration);
 
             osc.connect(gain);
             gain.connect(this.masterGain || this.ctx.destination);
 
             osc.start(now);
-            osc.stop(now + 0.3);
+            osc.stop(now + duration);
+        });
+    }
+
+    /**
+     * Play teleport sound - a tone sweeping up several octaves, then a
+     * softer one falling back as the player lands
+     */
+    playWarp() {
+        if (!this.enabled || !this.ctx) return;
+        this.resume();
+
+        const now = this.ctx.currentTime;
+
+        [[200, 1600, 0], [1200, 300, 0.18]].forEach(([from, to, delay]) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            const time = now + delay;
+
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(from, time);
+            osc.frequency.exponentialRampToValueAtTime(to, time + 0.25);
+
+            gain.gain.setValueAtTime(0, time);
+            gain.gain.linearRampToValueAtTime(delay > 0 ? 0.04 : 0.07, time + 0.03);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain || this.ctx.destination);
+
+            osc.start(time);
+            osc.stop(time + 0.3);
+        });
+    }
+
+    /**
+     * Play key pickup sound - two bright bell tones
+     */
+    playKey() {
+        if (!this.enabled || !this.ctx) return;
+        this.resume();
+
+        const now = this.ctx.currentTime;
+        const notes = [1046.50, 1567.98]; // C6, G6
+
+        notes.forEach((freq, i) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            const time = now + i * 0.1;
+
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(freq, time);
+
+            gain.gain.setValueAtTime(0, time);
+            gain.gain.linearRampToValueAtTime(0.06, time + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.5);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain || this.ctx.destination);
+
+            osc.start(time);
+            osc.stop(time + 0.5);
+        });
+    }
+
+    /**
+     * Play move sound - gentle harmonic tone, coloured by the terrain stepped onto
+     * @param {string} [terrain='floor'] - See Maze.getTerrain
+     */
+    playMove(terrain = 'floor') {
+        if (!this.enabled || !this.ctx) return;
+        this.resume();
+
+        const now = this.ctx.currentTime;
+        const voice = this.moveVoices[terrain] ?? this.moveVoices.floor;
+
+        voice.frequencies.forEach((freq, i) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+
+            osc.type = voice.type;
+            osc.frequency.setValueAtTime(freq, now);
+            if (voice.glide !== 1) {
+                osc.frequency.exponentialRampToValueAtTime(freq * voice.glide, now + voice.duration);
+            }
+
+            const volume = voice.volume / (i + 1); // Softer for higher harmonics
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(volume, now + voice.attack);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + voice.duration);
+
+            // Mud muffles the tone
+            let output = gain;
+            if (voice.lowpass) {
+                const filter = this.ctx.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.setValueAtTime(voice.lowpass, now);
+                gain.connect(filter);
+                output = filter;
+            }
+
+            osc.connect(gain);
+            output.connect(this.masterGain || this.ctx.destination);
+
+            osc.start(now);
+            osc.stop(now + voice.duration);
         });
     }
 
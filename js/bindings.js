@@ -0,0 +1,201 @@
+/**
+ * Input Bindings — Invisible Maze
+ * Maps keys to actions (moves, climbing, theme, pause, restart), so every
+ * input - keyboard or on-screen buttons - goes through the same actions.
+ * Keys are physical KeyboardEvent.code values, so WASD keeps its shape on
+ * an AZERTY keyboard; what a key types is only used to label it. Rebinding
+ * them is kept in localStorage. Which maze direction a move takes depends on the grid
+ * (see the topologies' `actions`), and a key bound to several actions
+ * does the first one the grid uses
+ */
+
+// Where custom bindings are kept
+const STORAGE_KEY = 'invisible-maze:bindings';
+
+// Every action, in the order the bindings panel lists them
+export const ACTIONS = {
+    'move-n': 'Up',
+    'move-ne': 'Up-right',
+    'move-e': 'Right',
+    'move-s': 'Down',
+    'move-w': 'Left',
+    'move-nw': 'Up-left',
+    'climb-up': 'Climb up',
+    'climb-down': 'Climb down',
+    theme: 'Next theme',
+    pause: 'Pause',
+    restart: 'Restart'
+};
+
+// Arrows and WASD move; Q and E take a hex grid's upper diagonals, and
+// climb on grids without them
+export const DEFAULT_BINDINGS = {
+    'move-n': ['ArrowUp', 'KeyW'],
+    'move-ne': ['KeyE'],
+    'move-e': ['ArrowRight', 'KeyD'],
+    'move-s': ['ArrowDown', 'KeyS'],
+    'move-w': ['ArrowLeft', 'KeyA'],
+    'move-nw': ['KeyQ'],
+    'climb-up': ['KeyE', 'PageUp'],
+    'climb-down': ['KeyQ', 'PageDown'],
+    theme: ['KeyT'],
+    pause: ['KeyP', 'Escape'],
+    restart: ['KeyR']
+};
+
+// Names for keys that don't print as themselves
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space',
+    Escape: 'Esc',
+    PageUp: 'Page Up',
+    PageDown: 'Page Down'
+};
+
+/**
+ * How a key is shown to the player
+ * @param {string} code - KeyboardEvent.code
+ * @param {string} [label] - What the key types on this keyboard, if known
+ */
+export function describeKey(code, label) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    // Without a label, a letter or digit key goes by its US layout name (KeyW is W)
+    const name = label ?? code.replace(/^(Key|Digit)(?=.$)/, '');
+    return name.length === 1 ? name.toUpperCase() : name;
+}
+
+export class Bindings {
+    /**
+     * @param {Object} [options]
+     * @param {Storage|null} [options.storage] - Where bindings are kept, localStorage by default
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : globalThis.localStorage ?? null;
+        this.keys = this.load();
+
+        // What each key types on this keyboard (code -> key), learnt as keys are
+        // pressed, and up front where the browser shares the layout
+        this.labels = new Map();
+        globalThis.navigator?.keyboard?.getLayoutMap?.()
+            .then(layout => layout.forEach((key, code) => this.labels.set(code, key)))
+            .catch(() => {
+                // Keys are labelled as they are pressed instead
+            });
+    }
+
+    /**
+     * Read saved bindings over the defaults, ignoring anything unreadable
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+        } catch (e) {
+            saved = null;
+        }
+
+        const keys = {};
+        for (const [action, defaults] of Object.entries(DEFAULT_BINDINGS)) {
+            const custom = saved?.[action];
+            keys[action] = Array.isArray(custom) ? custom.filter(key => typeof key === 'string') : [...defaults];
+        }
+        return keys;
+    }
+
+    /**
+     * Write the bindings back, quietly doing without if storage is full or blocked
+     */
+    save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.keys));
+        } catch (e) {
+            // Bindings still hold for this visit
+        }
+    }
+
+    /**
+     * First of some actions a key is bound to, or null
+     * @param {string[]} [actions] - The actions in play, in order of precedence
+     */
+    getAction(code, actions = Object.keys(ACTIONS)) {
+        return actions.find(action => this.keys[action].includes(code)) ?? null;
+    }
+
+    /**
+     * Another of the actions in play a key is already bound to, or null
+     */
+    findConflict(action, code, actions = Object.keys(ACTIONS)) {
+        return this.getAction(code, actions.filter(other => other !== action));
+    }
+
+    /**
+     * Bind a key to an action, taking it from the other actions in play
+     * @returns {string|null} The first action the key was taken from
+     */
+    bind(action, code, actions = Object.keys(ACTIONS)) {
+        const previous = this.findConflict(action, code, actions);
+        actions.filter(other => other !== action).forEach(other => {
+            this.keys[other] = this.keys[other].filter(bound => bound !== code);
+        });
+        if (!this.keys[action].includes(code)) {
+            this.keys[action].push(code);
+        }
+        this.save();
+        return previous;
+    }
+
+    /**
+     * Take a key off an action
+     */
+    unbind(action, code) {
+        this.keys[action] = this.keys[action].filter(bound => bound !== code);
+        this.save();
+    }
+
+    /**
+     * Go back to the default keys
+     */
+    reset() {
+        for (const [action, defaults] of Object.entries(DEFAULT_BINDINGS)) {
+            this.keys[action] = [...defaults];
+        }
+        this.save();
+    }
+
+    /**
+     * Whether every action has exactly its default keys
+     */
+    isDefault() {
+        return Object.entries(DEFAULT_BINDINGS).every(([action, defaults]) =>
+            this.keys[action].length === defaults.length && defaults.every(key => this.keys[action].includes(key)));
+    }
+
+    /**
+     * Remember what a key typed, to label it with
+     * @param {string} code - KeyboardEvent.code
+     * @param {string} key - KeyboardEvent.key
+     */
+    learnLabel(code, key) {
+        // Only printable keys; the rest have names of their own
+        if (code && key?.length === 1 && key !== ' ') {
+            this.labels.set(code, key);
+        }
+    }
+
+    /**
+     * How a bound key is shown to the player - what it types on this keyboard if known
+     */
+    describeKey(code) {
+        return describeKey(code, this.labels.get(code));
+    }
+
+    /**
+     * The keys for an action as the player sees them, e.g. "↑ / W"
+     */
+    describe(action) {
+        return this.keys[action].map(code => this.describeKey(code)).join(' / ') || 'unbound';
+    }
+}
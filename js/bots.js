@@ -0,0 +1,454 @@
+/**
+ * Bot Players — Invisible Maze
+ * Classic maze-solving strategies that play by the same rules as a person:
+ * they send move commands (see Engine.move) and learn walls only by walking
+ * into them. What they can see is what the player sees - the shape of the
+ * grid, the exit, and a stairwell underfoot. Run in bulk with benchmark()
+ * to measure how hard mazes of each size are
+ */
+
+import { Maze } from './maze.js';
+import { Player } from './player.js';
+import { Engine } from './engine.js';
+import { Random } from './random.js';
+
+/**
+ * Shared knowledge and input for every bot
+ */
+class Bot {
+    /**
+     * @param {Engine} engine - The run to play
+     * @param {Random} [random] - Breaks ties and drives the random walk
+     */
+    constructor(engine, random = new Random()) {
+        this.engine = engine;
+        this.random = random;
+        // How long (ms) a wall that was hit is remembered
+        this.forgetAfter = Infinity;
+
+        // Walls hit, by cell id: direction -> time it was hit
+        this.memory = new Map();
+        // Locked doors ("id:direction"), worth trying again once a key turns up
+        this.locked = new Set();
+        // Times each cell was entered, by cell id
+        this.visits = new Map();
+
+        this.stopListening = [
+            engine.on('reset', () => this.reset()),
+            engine.on('move', ({ direction, from, to }) => this.onStep(direction, from, to)),
+            engine.on('warp', ({ to }) => this.onArrive(to)),
+            engine.on('key', () => this.locked.clear()),
+            // A person sees remembered walls dissolve when the maze shifts
+            engine.on('shift', ({ changed }) => {
+                changed.forEach(({ x, y, z }) => this.memory.delete(this.engine.maze.cellId(x, y, z)));
+            })
+        ];
+    }
+
+    /**
+     * Forget everything, ready for a new run
+     */
+    reset() {
+        this.memory.clear();
+        this.locked.clear();
+        this.visits.clear();
+    }
+
+    /**
+     * Stop following the engine
+     */
+    detach() {
+        this.stopListening.forEach(stop => stop());
+    }
+
+    /**
+     * Make the next move, if the player is free to
+     * @param {Function} [send] - Sends a direction, returning the engine's outcome
+     *        (see Engine.move) - through the input buffer, the way a person's input goes
+     * @returns {string|null} The outcome, or null if the bot waited
+     */
+    act(send = direction => this.engine.send(direction)) {
+        const { engine } = this;
+        if (engine.state !== 'playing' || engine.isPaused() || !engine.player.canAcceptInput() || engine.slide || engine.warp) return null;
+
+        const cell = this.here();
+        if (this.visits.size === 0) {
+            this.onArrive(cell);
+        }
+        const direction = this.choose(cell);
+        if (!direction) return null;
+
+        const outcome = send(direction);
+        if (outcome === 'collision' || outcome === 'oneway' || outcome === 'invalid') {
+            this.remember(cell, direction);
+        } else if (outcome === 'locked') {
+            this.locked.add(`${cell.id}:${direction}`);
+        }
+        return outcome;
+    }
+
+    /**
+     * Pick a direction to try from a cell
+     * @abstract
+     */
+    choose(cell) {
+        throw new Error('Bots must choose a direction');
+    }
+
+    /**
+     * One step of a move landed (ice may add more)
+     */
+    onStep(direction, from, to) {
+        this.onArrive(to);
+    }
+
+    /**
+     * The player entered a cell
+     */
+    onArrive({ x, y, z }) {
+        const id = this.engine.maze.cellId(x, y, z);
+        this.visits.set(id, (this.visits.get(id) ?? 0) + 1);
+    }
+
+    /**
+     * The cell the player is resting in
+     */
+    here() {
+        const { gridX: x, gridY: y, gridZ: z } = this.engine.player;
+        return { x, y, z, id: this.engine.maze.cellId(x, y, z) };
+    }
+
+    /**
+     * Directions that lead anywhere from a cell: those with a cell beyond
+     * them on the grid, and a stairwell the player is standing on
+     */
+    directionsAt(cell) {
+        const { maze } = this.engine;
+        const planar = [...new Set(Object.values(maze.topology.actions))]
+            .filter(direction => maze.expandDirection(cell, direction).some(wall => maze.getAdjacentPosition(cell, wall)));
+        const vertical = ['up', 'down'].filter(direction => maze.hasStairwell(cell.x, cell.y, cell.z, direction));
+        return [...planar, ...vertical];
+    }
+
+    /**
+     * Directions from a cell not known to be blocked
+     */
+    optionsAt(cell) {
+        const options = this.directionsAt(cell).filter(direction => !this.isBlocked(cell, direction));
+        // Everything remembered as a wall - a wall that moved may have opened up
+        return options.length > 0 ? options : this.directionsAt(cell);
+    }
+
+    /**
+     * Note a wall that was hit
+     */
+    remember(cell, direction) {
+        if (!this.memory.has(cell.id)) {
+            this.memory.set(cell.id, new Map());
+        }
+        this.memory.get(cell.id).set(direction, this.engine.player.clock());
+    }
+
+    /**
+     * Whether a direction is remembered as a wall or a locked door
+     */
+    isBlocked(cell, direction) {
+        if (this.locked.has(`${cell.id}:${direction}`)) return true;
+        const hitAt = this.memory.get(cell.id)?.get(direction);
+        return hitAt !== undefined && this.engine.player.clock() - hitAt < this.forgetAfter;
+    }
+
+    /**
+     * Cell a direction leads to if it is open (the first, where a polar 'out' forks)
+     */
+    neighborOf(cell, direction) {
+        const { maze } = this.engine;
+        const wall = maze.expandDirection(cell, direction)[0];
+        const next = wall ? maze.getAdjacentPosition(cell, wall) : null;
+        return next ? { ...next, id: maze.cellId(next.x, next.y, next.z) } : null;
+    }
+
+    /**
+     * Whether a stairwell leads towards the exit's floor
+     */
+    climbsTowardsGoal(cell, direction) {
+        const goal = this.engine.maze.goal;
+        return direction === 'up' ? goal.z > cell.z : direction === 'down' && goal.z < cell.z;
+    }
+}
+
+/**
+ * Keeps one hand on the wall: turns towards that hand whenever it can,
+ * otherwise goes straight, then the other way, then back
+ * Only solves mazes with no loops, but never needs to remember more than
+ * the way it is facing (and the walls it has hit from where it stands).
+ * On a circular maze 'out' takes whichever branch was explored least
+ * recently, not the one the hand is on, so it may circle until time runs out
+ */
+export class WallFollowerBot extends Bot {
+    /**
+     * @param {'right'|'left'} [hand='right']
+     */
+    constructor(engine, random, hand = 'right') {
+        super(engine, random);
+        this.hand = hand;
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        // Screen-space vector the bot faces, set by its first step
+        this.heading = null;
+    }
+
+    choose(cell) {
+        const options = this.optionsAt(cell);
+        const stairs = options.find(direction => this.climbsTowardsGoal(cell, direction));
+        if (stairs) return stairs;
+
+        const planar = options.filter(direction => direction !== 'up' && direction !== 'down');
+        if (!this.heading || planar.length === 0) return planar[0] ?? options[0];
+
+        // Turn angle from the heading, with a full turn back counted as the last resort
+        const { topology } = this.engine.maze;
+        const facing = Math.atan2(this.heading.y, this.heading.x);
+        const turn = direction => {
+            const normal = topology.getWallNormal(cell.x, cell.y, direction);
+            let angle = (Math.atan2(normal.y, normal.x) - facing) * (this.hand === 'right' ? 1 : -1);
+            // (with a little slack, so rounding can't make turning back look like a sharp turn)
+            while (angle >= Math.PI - 1e-6) angle -= Math.PI * 2;
+            while (angle < -Math.PI - 1e-6) angle += Math.PI * 2;
+            return angle;
+        };
+        // Screen y points down, so a positive angle turns right
+        return planar.reduce((best, direction) => (turn(direction) > turn(best) ? direction : best));
+    }
+
+    onStep(direction, from, to) {
+        super.onStep(direction, from, to);
+        if (direction === 'up' || direction === 'down') return;
+        // Straight away from the wall just come through, as seen from the new cell
+        const { maze } = this.engine;
+        const back = maze.getDirection(to, from);
+        if (!back) return;
+        const normal = maze.topology.getWallNormal(to.x, to.y, back);
+        this.heading = { x: -normal.x, y: -normal.y };
+    }
+}
+
+/**
+ * Trémaux's algorithm: marks every passage each time it is walked, never
+ * walks one a third time, and turns back on reaching a known cell by a new
+ * passage. Solves any maze, at the cost of probing every unknown wall
+ */
+export class TremauxBot extends Bot {
+    constructor(engine, random) {
+        super(engine, random);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        // Times each passage was walked, by "lowId-highId"
+        this.marks = new Map();
+        // Cell to go straight back to, having reached a known cell by a new passage
+        this.turnBack = null;
+    }
+
+    passageKey(a, b) {
+        return a < b ? `${a}-${b}` : `${b}-${a}`;
+    }
+
+    onStep(direction, from, to) {
+        const { maze } = this.engine;
+        const fromId = maze.cellId(from.x, from.y, from.z);
+        const toId = maze.cellId(to.x, to.y, to.z);
+        const key = this.passageKey(fromId, toId);
+        const marks = this.marks.get(key) ?? 0;
+
+        this.turnBack = marks === 0 && this.visits.has(toId) ? { at: toId, to: from } : null;
+        this.marks.set(key, marks + 1);
+        super.onStep(direction, from, to);
+    }
+
+    choose(cell) {
+        const { maze } = this.engine;
+        const options = this.optionsAt(cell);
+
+        if (this.turnBack?.at === cell.id) {
+            const back = maze.getDirection(cell, this.turnBack.to);
+            this.turnBack = null;
+            if (back && options.includes(back)) return back;
+        }
+
+        const stairs = options.find(direction => this.climbsTowardsGoal(cell, direction));
+        const marksOf = direction => {
+            const next = this.neighborOf(cell, direction);
+            return next ? this.marks.get(this.passageKey(cell.id, next.id)) ?? 0 : 0;
+        };
+        if (stairs && marksOf(stairs) === 0) return stairs;
+
+        const fewest = Math.min(...options.map(marksOf));
+        return this.random.pick(options.filter(direction => marksOf(direction) === fewest));
+    }
+}
+
+/**
+ * Tries a random direction every time, learning nothing
+ */
+export class RandomBot extends Bot {
+    choose(cell) {
+        return this.random.pick(this.directionsAt(cell));
+    }
+}
+
+/**
+ * Plays roughly the way a person does: heads for the exit it can see,
+ * favours places it hasn't been and keeps going the way it was, but
+ * forgets a wall it hit once the glow left on screen has faded
+ */
+export class HumanBot extends Bot {
+    constructor(engine, random) {
+        super(engine, random);
+        // The same 10 seconds as Renderer.renderWallMemory
+        this.forgetAfter = 10000;
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.lastDirection = null;
+    }
+
+    onStep(direction, from, to) {
+        super.onStep(direction, from, to);
+        this.lastDirection = direction;
+    }
+
+    choose(cell) {
+        const { maze } = this.engine;
+        const score = direction => {
+            if (direction === 'up' || direction === 'down') {
+                return this.climbsTowardsGoal(cell, direction) ? -1 : 2;
+            }
+            const next = this.neighborOf(cell, direction);
+            return (this.visits.get(next.id) ?? 0) +
+                maze.topology.distance(next, maze.goal) * 0.1 -
+                (direction === this.lastDirection ? 0.3 : 0) +
+                this.random.next() * 0.5;
+        };
+        const scores = new Map(this.optionsAt(cell).map(direction => [direction, score(direction)]));
+        return [...scores.keys()].reduce((best, direction) => (scores.get(direction) < scores.get(best) ? direction : best));
+    }
+}
+
+/**
+ * Available bots by name
+ */
+export const bots = {
+    wall: { label: 'Wall follower', create: (engine, random) => new WallFollowerBot(engine, random) },
+    tremaux: { label: 'Trémaux', create: (engine, random) => new TremauxBot(engine, random) },
+    random: { label: 'Random walk', create: (engine, random) => new RandomBot(engine, random) },
+    human: { label: 'Human-like', create: (engine, random) => new HumanBot(engine, random) }
+};
+
+/**
+ * Play one run with a bot as fast as possible, on a virtual clock
+ * Shifting walls rewire the maze given, so pass a fresh one each time
+ * @param {string} kind - A key of `bots`
+ * @param {Maze} maze
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - Engine rules (see DEFAULT_RULES)
+ * @param {string} [options.seed] - Seeds the bot's choices, the maze seed by default
+ * @param {number} [options.frame=16] - Virtual ms between updates
+ * @param {Object} [options.listeners] - Engine event -> listener, to watch the run
+ * @returns {{ won: boolean, reason: string|null, moves: number, collisions: number,
+ *            energy: number, time: number, optimal: number }}
+ */
+export function simulateRun(kind, maze, { rules = {}, seed = maze.seed, frame = 16, listeners = {} } = {}) {
+    if (!Object.hasOwn(bots, kind)) {
+        throw new Error(`Unknown bot: ${kind}`);
+    }
+
+    let now = 0;
+    const player = new Player(maze.start.x, maze.start.y, (x, y) => maze.topology.toLayout(x, y), maze.start.z);
+    player.clock = () => now;
+    const engine = new Engine(maze, player, rules);
+    for (const [type, listener] of Object.entries(listeners)) {
+        engine.on(type, listener);
+    }
+    const bot = bots[kind].create(engine, new Random(`${seed}:${kind}`));
+
+    // The time limit ends any run the bot starts
+    while (engine.state === 'playing' && (engine.started || now < 1000)) {
+        bot.act();
+        now += frame;
+        engine.update(now);
+    }
+
+    const state = engine.getState();
+    return {
+        won: state.state === 'won',
+        reason: state.reason,
+        moves: state.moves,
+        collisions: state.collisions,
+        energy: state.energy,
+        time: state.elapsedTime,
+        optimal: maze.getSolutionLength()
+    };
+}
+
+/**
+ * Mean and 90th percentile of some numbers (null if there are none)
+ */
+function describe(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+        p90: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.9))]
+    };
+}
+
+/**
+ * Play every bot over the same generated mazes of each size
+ * @param {Object} [options]
+ * @param {string[]} [options.kinds] - Bots to run, all by default
+ * @param {number[]} [options.sizes=[10]] - Maze widths (and heights)
+ * @param {number} [options.runs=20] - Mazes per size
+ * @param {Object} [options.maze] - Further Maze options (topology, braid, doors, ...)
+ * @param {Object} [options.rules] - Engine rules (see DEFAULT_RULES)
+ * @param {string} [options.seed='bench'] - Seeds the mazes and the bots
+ * @param {Object} [options.listeners] - Engine event -> listener, for every run
+ * @returns {Array<Object>} One row per bot and size: the win rate, how lost runs
+ *          ended, and { mean, p90 } of moves, collisions, energy left, time
+ *          taken by winning runs and their moves over the optimal route
+ */
+export function benchmark({ kinds = Object.keys(bots), sizes = [10], runs = 20, maze = {}, rules = {}, seed = 'bench', listeners = {} } = {}) {
+    const rows = [];
+    for (const size of sizes) {
+        for (const kind of kinds) {
+            const results = [];
+            for (let run = 0; run < runs; run++) {
+                const mazeSeed = `${seed}:${size}:${run}`;
+                results.push(simulateRun(kind, new Maze(size, size, { ...maze, seed: mazeSeed }), { rules, seed: mazeSeed, listeners }));
+            }
+
+            const wins = results.filter(result => result.won);
+            rows.push({
+                kind,
+                size,
+                runs,
+                winRate: wins.length / runs,
+                lostToEnergy: results.filter(result => result.reason === 'energy').length,
+                lostToTime: results.filter(result => result.reason === 'time').length,
+                moves: describe(results.map(result => result.moves)),
+                collisions: describe(results.map(result => result.collisions)),
+                energy: describe(results.map(result => result.energy)),
+                winTime: describe(wins.map(result => result.time)),
+                winDetour: describe(wins.map(result => result.moves / Math.max(1, result.optimal)))
+            });
+        }
+    }
+    return rows;
+}
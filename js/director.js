@@ -0,0 +1,171 @@
+/**
+ * Difficulty Director — Invisible Maze
+ * Remembers how recent runs went (kept in localStorage) and tunes the next
+ * maze from them: its size and braid, the time limit and the energy a
+ * collision costs. Each setting moves a small step at a time, only within
+ * its bounds, and every change comes with a short reason for the player
+ */
+
+// Where the run history is kept
+const STORAGE_KEY = 'invisible-maze:director';
+
+// Settings for a player with no history
+export const DEFAULT_SETTINGS = {
+    size: 10,
+    braid: 0,
+    timeLimit: 180,
+    energyLossPerCollision: 0.03
+};
+
+// How far each setting may move, and by how much per run
+export const DEFAULT_BOUNDS = {
+    size: { min: 6, max: 24, step: 2 },
+    braid: { min: 0, max: 0.6, step: 0.1 },
+    timeLimit: { min: 90, max: 300, step: 30 },
+    energyLossPerCollision: { min: 0.015, max: 0.06, step: 0.005 }
+};
+
+/**
+ * Format seconds as M:SS
+ */
+function formatTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export class Director {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.bounds] - Per-setting { min, max, step }, merged over DEFAULT_BOUNDS
+     * @param {Object} [options.defaults] - Settings before any run, merged over DEFAULT_SETTINGS
+     * @param {number} [options.window=3] - Recent runs each decision looks at
+     * @param {number} [options.historySize=20] - Runs kept in storage
+     * @param {Storage|null} [options.storage] - Where history is kept, localStorage by default
+     */
+    constructor(options = {}) {
+        this.bounds = {};
+        for (const [name, bounds] of Object.entries(DEFAULT_BOUNDS)) {
+            this.bounds[name] = { ...bounds, ...options.bounds?.[name] };
+        }
+        this.defaults = { ...DEFAULT_SETTINGS, ...options.defaults };
+        this.window = options.window ?? 3;
+        this.historySize = options.historySize ?? 20;
+        this.storage = options.storage !== undefined ? options.storage : globalThis.localStorage ?? null;
+        this.runs = this.load();
+    }
+
+    /**
+     * Read the run history, starting afresh if it is missing or unreadable
+     */
+    load() {
+        try {
+            const data = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+            return Array.isArray(data?.runs) ? data.runs : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Write the run history back, quietly doing without if storage is full or blocked
+     */
+    save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ runs: this.runs }));
+        } catch (e) {
+            // History is a nicety - the game plays on without it
+        }
+    }
+
+    /**
+     * Add a finished run to the history
+     * @param {Object} run
+     * @param {boolean} run.won
+     * @param {'energy'|'time'|null} [run.reason] - What ended a lost run
+     * @param {number} run.moves
+     * @param {number} run.collisions
+     * @param {number} run.optimal - Moves on the shortest route
+     * @param {number} run.time - Seconds used
+     * @param {Object} run.settings - The settings the run was played with
+     */
+    record(run) {
+        this.runs.push({ ...run, settings: { ...run.settings } });
+        this.runs = this.runs.slice(-this.historySize);
+        this.save();
+    }
+
+    /**
+     * Forget every run
+     */
+    clear() {
+        this.runs = [];
+        this.save();
+    }
+
+    /**
+     * Settings for the next maze, and why they changed from the last run's
+     * @returns {{ settings: Object, reasons: string[] }}
+     */
+    recommend() {
+        const last = this.runs[this.runs.length - 1];
+        const settings = this.clamp({ ...this.defaults, ...last?.settings });
+        if (!last) return { settings, reasons: [] };
+
+        const recent = this.runs.slice(-this.window);
+        const wins = recent.filter(run => run.won);
+        const average = values => values.reduce((sum, value) => sum + value, 0) / Math.max(1, values.length);
+        const reasons = [];
+        const adjust = (name, sign, reason) => {
+            const { min, max, step } = this.bounds[name];
+            const value = Math.min(max, Math.max(min, settings[name] + sign * step));
+            if (value === settings[name]) return;
+            settings[name] = Math.round(value * 1000) / 1000;
+            reasons.push(reason(settings[name]));
+        };
+
+        // Size follows winning streaks and losing runs
+        if (recent.length >= 2 && wins.length === recent.length) {
+            adjust('size', 1, size => `Bigger maze (${size}x${size}): you won your last ${recent.length} runs`);
+        } else if (!last.won && wins.length <= recent.length / 2) {
+            adjust('size', -1, size => `Smaller maze (${size}x${size}) after a hard run`);
+        }
+
+        // Loops give a player who wanders more ways to the exit
+        const efficiency = average(wins.map(run => run.optimal / Math.max(1, run.moves)));
+        if (wins.length > 0 && efficiency < 0.4) {
+            adjust('braid', 1, () => 'More loops: your routes ran long');
+        } else if (wins.length > 0 && efficiency > 0.7) {
+            adjust('braid', -1, () => 'Fewer loops: you found direct routes');
+        }
+
+        // Time follows how much of the clock was used - though a maze that
+        // has just grown will take longer anyway, so it isn't cut as well
+        const grew = settings.size > this.clamp({ ...this.defaults, ...last.settings }).size;
+        const timeUsed = average(recent.map(run => (run.reason === 'time' ? 1 : run.time / run.settings.timeLimit)));
+        if (last.reason === 'time' || timeUsed > 0.85) {
+            adjust('timeLimit', 1, limit => `More time (${formatTime(limit)}): the clock ran close`);
+        } else if (last.won && !grew && timeUsed < 0.4) {
+            adjust('timeLimit', -1, limit => `Less time (${formatTime(limit)}): you finished quickly`);
+        }
+
+        // Collisions cost less for a player who keeps hitting walls - more than
+        // one move in four, while fewer than one in twelve makes them cost more
+        const hitRate = average(recent.map(run => run.collisions / Math.max(1, run.moves)));
+        if (last.reason === 'energy' || hitRate > 0.25) {
+            adjust('energyLossPerCollision', -1, () => 'Gentler walls: collisions cost less energy');
+        } else if (hitRate < 0.08) {
+            adjust('energyLossPerCollision', 1, () => 'Harder walls: you rarely hit one');
+        }
+
+        return { settings, reasons };
+    }
+
+    /**
+     * Keep every setting inside its bounds
+     */
+    clamp(settings) {
+        for (const [name, { min, max }] of Object.entries(this.bounds)) {
+            settings[name] = Math.min(max, Math.max(min, settings[name]));
+        }
+        return settings;
+    }
+}
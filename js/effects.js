@@ -15,8 +15,9 @@ export class Effects {
 
     /**
      * Trigger collision effects
+     * @param {Object|null} wall - Screen-space wall from Renderer.getWallPosition(), null for a floor or ceiling
      */
-    triggerCollision(wallX, wallY, wallWidth, wallHeight, direction) {
+    triggerCollision(wall) {
         // Screen shake
         this.overlay.classList.add('shake');
 
@@ -26,8 +27,10 @@ export class Effects {
         // Distortion effect
         this.overlay.classList.add('distort');
 
-        // Create wall flash element
-        this.createWallFlash(wallX, wallY, wallWidth, wallHeight, direction);
+        // Create wall flash element (none for a floor or ceiling)
+        if (wall) {
+            this.createWallFlash(wall);
+        }
 
         // Remove effects after animation
         setTimeout(() => {
@@ -40,49 +43,88 @@ export class Effects {
         }, 100);
     }
 
+    /**
+     * Trigger locked door effects - a slow gold shimmer on the door and a
+     * faint rattle of the screen, gentler than a collision
+     * @param {Object} door - Screen-space wall from Renderer.getWallPosition()
+     */
+    triggerLocked(door) {
+        this.overlay.classList.add('rattle');
+        this.createWallFlash(door, 'door-flash', 400);
+
+        setTimeout(() => {
+            this.overlay.classList.remove('rattle');
+        }, 200);
+    }
+
+    /**
+     * Trigger one-way passage effects - a teal flash on the passage and no
+     * shake, since nothing was hit
+     * @param {Object} passage - Screen-space wall from Renderer.getWallPosition()
+     */
+    triggerOneWay(passage) {
+        this.createWallFlash(passage, 'oneway-flash', 300);
+    }
+
+    /**
+     * Trigger a low tremor while the maze is about to shift
+     * @param {number} duration - Milliseconds
+     */
+    triggerRumble(duration) {
+        this.overlay.classList.add('rumble');
+
+        setTimeout(() => {
+            this.overlay.classList.remove('rumble');
+        }, duration);
+    }
+
+    /**
+     * Trigger teleport effects - a ring collapsing where the player left and
+     * one bursting open where they arrive, with a brief colour smear
+     * @param {{x: number, y: number}} from - Screen position of the teleporter stepped into
+     * @param {{x: number, y: number}} to - Screen position of its partner
+     */
+    triggerWarp(from, to) {
+        this.overlay.classList.add('warp');
+
+        for (const [{ x, y }, className] of [[from, 'warp-ring-out'], [to, 'warp-ring-in']]) {
+            const ring = document.createElement('div');
+            ring.className = className;
+            ring.style.left = `${x}px`;
+            ring.style.top = `${y}px`;
+            document.body.appendChild(ring);
+
+            setTimeout(() => ring.remove(), 600);
+        }
+
+        setTimeout(() => {
+            this.overlay.classList.remove('warp');
+        }, 300);
+    }
+
     /**
      * Create a wall flash element at collision point
+     * The flash is a thin bar centred on the wall and rotated along it,
+     * so it works for any cell shape
      */
-    createWallFlash(x, y, width, height, direction) {
+    createWallFlash({ x, y, length, angle }, className = 'wall-flash', duration = 100) {
         const flash = document.createElement('div');
-        flash.className = 'wall-flash';
+        flash.className = className;
 
-        // Position and size based on wall direction
         const thickness = 4;
 
-        switch (direction) {
-            case 'n':
-                flash.style.left = `${x}px`;
-                flash.style.top = `${y}px`;
-                flash.style.width = `${width}px`;
-                flash.style.height = `${thickness}px`;
-                break;
-            case 's':
-                flash.style.left = `${x}px`;
-                flash.style.top = `${y + height - thickness}px`;
-                flash.style.width = `${width}px`;
-                flash.style.height = `${thickness}px`;
-                break;
-            case 'e':
-                flash.style.left = `${x + width - thickness}px`;
-                flash.style.top = `${y}px`;
-                flash.style.width = `${thickness}px`;
-                flash.style.height = `${height}px`;
-                break;
-            case 'w':
-                flash.style.left = `${x}px`;
-                flash.style.top = `${y}px`;
-                flash.style.width = `${thickness}px`;
-                flash.style.height = `${height}px`;
-                break;
-        }
+        flash.style.left = `${x - length / 2}px`;
+        flash.style.top = `${y - thickness / 2}px`;
+        flash.style.width = `${length}px`;
+        flash.style.height = `${thickness}px`;
+        flash.style.transform = `rotate(${angle}rad)`;
 
         document.body.appendChild(flash);
 
         // Remove after animation
         setTimeout(() => {
             flash.remove();
-        }, 100);
+        }, duration);
     }
 
     /**
@@ -187,7 +229,7 @@ export class Effects {
      * Reset effects
      */
     reset() {
-        this.overlay.classList.remove('shake', 'darken', 'distort');
+        this.overlay.classList.remove('shake', 'darken', 'distort', 'rattle', 'rumble', 'warp');
         this.overlay.style.background = '';
         this.screenBrightness = 0;
         this.isWinning = false;
@@ -0,0 +1,257 @@
+/**
+ * Endless Maze — Invisible Maze
+ * An unbounded square maze, streamed in seeded chunks as the player explores
+ * Each chunk is a small Maze carved from its own seed, and each border between
+ * two chunks is opened in a few places chosen from the border's own seed, so a
+ * chunk comes out the same whichever way it is reached and every cell can be
+ * reached from every other. Chunks far from the player are dropped and carved
+ * again if the player comes back
+ */
+
+import { Maze } from './maze.js';
+import { Random } from './random.js';
+import { SquareTopology } from './topology.js';
+
+// Cells along each side of a chunk
+export const CHUNK_SIZE = 8;
+
+/**
+ * Square lattice with no edges - every position is a cell
+ */
+class EndlessTopology extends SquareTopology {
+    constructor() {
+        super(Infinity, Infinity);
+    }
+
+    contains() {
+        return true;
+    }
+
+    getBounds() {
+        return { minX: -0.5, minY: -0.5, maxX: CHUNK_SIZE - 0.5, maxY: CHUNK_SIZE - 0.5 };
+    }
+}
+
+export class EndlessMaze {
+    /**
+     * @param {Object} [options]
+     * @param {string|number} [options.seed] - Seed every chunk and border is derived from
+     * @param {string} [options.algorithm='dfs'] - Key in Maze.algorithms, used for each chunk
+     * @param {number} [options.braid=0] - Fraction of dead ends (0-1) to knock through in each chunk
+     * @param {Object} [options.terrain] - Terrain mix for each chunk (see Maze)
+     * @param {number} [options.keepRadius=2] - Chunks kept around the player's, in each direction
+     */
+    constructor(options = {}) {
+        this.endless = true;
+        this.seed = String(options.seed ?? Random.createSeed());
+        this.algorithm = options.algorithm ?? 'dfs';
+        this.braidFactor = options.braid ?? 0;
+        this.terrainMix = options.terrain ?? null;
+        this.keepRadius = options.keepRadius ?? 2;
+        this.topology = new EndlessTopology();
+
+        // Settings a bounded Maze has, fixed here
+        this.topologyName = 'square';
+        this.floors = 1;
+        this.wrap = false;
+        this.mask = null;
+        this.placement = 'corners';
+        this.doorCount = 0;
+        this.doors = [];
+        this.keys = [];
+        this.teleporterCount = 0;
+        this.teleporters = [];
+        this.oneWayCount = 0;
+        this.oneWays = [];
+        // Longest ice slide before it is cut short, as for a bounded maze of one chunk
+        this.floorSize = CHUNK_SIZE * CHUNK_SIZE;
+
+        this.start = { x: 0, y: 0, z: 0 };
+        this.goal = null;
+
+        // Loaded chunks ("cx,cy" -> Maze) and border openings ("e:cx,cy" -> offsets)
+        this.chunks = new Map();
+        this.borders = new Map();
+    }
+
+    /**
+     * Start over from a fresh seed unless one is given
+     */
+    regenerate(seed = Random.createSeed()) {
+        this.seed = String(seed);
+        this.chunks.clear();
+        this.borders.clear();
+    }
+
+    /**
+     * Chunk holding a position and the position within it
+     */
+    locate(x, y) {
+        const cx = Math.floor(x / CHUNK_SIZE);
+        const cy = Math.floor(y / CHUNK_SIZE);
+        return { cx, cy, x: x - cx * CHUNK_SIZE, y: y - cy * CHUNK_SIZE };
+    }
+
+    /**
+     * The maze inside a chunk, carved the first time it is needed
+     */
+    getChunk(cx, cy) {
+        const key = `${cx},${cy}`;
+        let chunk = this.chunks.get(key);
+        if (!chunk) {
+            chunk = new Maze(CHUNK_SIZE, CHUNK_SIZE, {
+                seed: `${this.seed}:${key}`,
+                algorithm: this.algorithm,
+                braid: this.braidFactor,
+                terrain: this.terrainMix
+            });
+            this.chunks.set(key, chunk);
+        }
+        return chunk;
+    }
+
+    /**
+     * Offsets along a chunk border that are open - rows of the border on the
+     * east side of chunk (cx, cy) for 'e', columns of its south side for 's'
+     * At least one is always open, which keeps the whole plane connected
+     */
+    getBorder(side, cx, cy) {
+        const key = `${side}:${cx},${cy}`;
+        let openings = this.borders.get(key);
+        if (!openings) {
+            const random = new Random(`${this.seed}:${key}`);
+            const offsets = Array.from({ length: CHUNK_SIZE }, (_, i) => i);
+            random.shuffle(offsets);
+            openings = offsets.slice(0, 1 + random.int(2));
+            this.borders.set(key, openings);
+        }
+        return openings;
+    }
+
+    /**
+     * Load the chunks around a position and drop those far from it
+     */
+    update(x, y) {
+        const { cx, cy } = this.locate(x, y);
+        for (const key of this.chunks.keys()) {
+            const [kx, ky] = key.split(',').map(Number);
+            if (Math.max(Math.abs(kx - cx), Math.abs(ky - cy)) > this.keepRadius) {
+                this.chunks.delete(key);
+            }
+        }
+        for (const key of this.borders.keys()) {
+            const [kx, ky] = key.slice(2).split(',').map(Number);
+            if (Math.max(Math.abs(kx - cx), Math.abs(ky - cy)) > this.keepRadius) {
+                this.borders.delete(key);
+            }
+        }
+
+        // Carve the neighbours ahead of time so crossing into them doesn't stall
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                this.getChunk(cx + dx, cy + dy);
+            }
+        }
+    }
+
+    /**
+     * Check if a named wall of the cell at a position is standing
+     */
+    hasWall(x, y, z, direction) {
+        if (z !== 0 || !this.topology.offsets[direction]) return false;
+
+        const here = this.locate(x, y);
+        const next = this.topology.step(x, y, direction);
+        const there = this.locate(next.x, next.y);
+        if (here.cx === there.cx && here.cy === there.cy) {
+            return this.getChunk(here.cx, here.cy).hasWall(here.x, here.y, 0, direction);
+        }
+
+        // Crossing into the next chunk, open only where the border is
+        switch (direction) {
+            case 'e': return !this.getBorder('e', here.cx, here.cy).includes(here.y);
+            case 'w': return !this.getBorder('e', there.cx, there.cy).includes(here.y);
+            case 's': return !this.getBorder('s', here.cx, here.cy).includes(here.x);
+            default: return !this.getBorder('s', there.cx, there.cy).includes(here.x);
+        }
+    }
+
+    /**
+     * Check if player can move in a direction (see Maze.canMove)
+     * @returns {boolean | string} false if can move, 'wall' if blocked, 'invalid' for no such wall
+     */
+    canMove(x, y, direction, z = 0) {
+        if (z !== 0 || !this.topology.offsets[direction]) {
+            return 'invalid';
+        }
+        return this.hasWall(x, y, z, direction) ? 'wall' : false;
+    }
+
+    /**
+     * Cells a direction leads to, as Maze.getMoveTargets()
+     */
+    getMoveTargets(x, y, direction, z = 0) {
+        if (this.canMove(x, y, direction, z) !== false) return [];
+
+        const next = this.topology.step(x, y, direction);
+        return [{ ...next, z: 0, via: next }];
+    }
+
+    /**
+     * Get the cell reached by moving in a direction, or null if blocked
+     */
+    getMoveTarget(x, y, direction, z = 0) {
+        return this.getMoveTargets(x, y, direction, z)[0] ?? null;
+    }
+
+    /**
+     * Terrain type of the cell at a position (see Maze.getTerrain)
+     */
+    getTerrain(x, y) {
+        const { cx, cy, x: lx, y: ly } = this.locate(x, y);
+        return this.getChunk(cx, cy).getTerrain(lx, ly);
+    }
+
+    /**
+     * Get fraction (0-1) of a cell's walls that are closed
+     */
+    getWallProximity(x, y, z = 0) {
+        const closed = this.topology.directions.filter(direction => this.hasWall(x, y, z, direction));
+        return closed.length / this.topology.directions.length;
+    }
+
+    /**
+     * There is no exit - the run lasts until energy or time gives out
+     */
+    isGoal() {
+        return false;
+    }
+
+    /**
+     * Endless mazes are a single floor
+     */
+    hasStairwell() {
+        return false;
+    }
+
+    /**
+     * No doors, so no keys lie anywhere
+     */
+    getKeyAt() {
+        return -1;
+    }
+
+    /**
+     * Endless mazes have no teleporters
+     */
+    getTeleportTarget() {
+        return null;
+    }
+
+    /**
+     * Number of chunks held in memory
+     */
+    getLoadedChunkCount() {
+        return this.chunks.size;
+    }
+}
@@ -0,0 +1,480 @@
+/**
+ * Game Engine — Invisible Maze
+ * The rules of a run with no browser attached: movement, energy, the clock,
+ * combos, keys, ice, teleporters, shifting walls and how a run is won or lost.
+ * It takes move commands and reports what happened through events, so the
+ * page (main.js) only draws and plays sounds, and a run can be simulated or
+ * replayed in Node
+ */
+
+import { Random } from './random.js';
+
+// Rules for a run, any of which can be overridden
+export const DEFAULT_RULES = {
+    timeLimit: 180, // Seconds
+    energyLossPerCollision: 0.03, // About 33 hits to game over
+    energyLossPerDrainStep: 0.02, // Each step onto a drain zone
+    shifting: false, // A patch of the maze rewires every so often
+    shiftInterval: 20, // Seconds between shifts
+    shiftWarning: 2 // Seconds of warning before each
+};
+
+export class Engine {
+    /**
+     * @param {Maze} maze
+     * @param {Player} player - Moved by the engine; its clock is the engine's clock
+     * @param {Object} [rules] - Merged over DEFAULT_RULES
+     * @param {Object} [options]
+     * @param {number} [options.bufferSize=0] - Moves sent while the player is busy that wait their turn
+     */
+    constructor(maze, player, rules = {}, { bufferSize = 0 } = {}) {
+        this.maze = maze;
+        this.player = player;
+        this.rules = { ...DEFAULT_RULES, ...rules };
+        this.bufferSize = bufferSize;
+        this.listeners = new Map();
+
+        // Keys picked up, by the index of the door each opens
+        this.inventory = new Set();
+
+        // Move count when each cell was last entered ("x,y,z" -> count),
+        // so a forked polar 'out' picks the least recently explored branch
+        this.cellVisits = new Map();
+
+        this.reset();
+    }
+
+    /**
+     * Listen for an event
+     * Events: reset, start, move, combo, energy, key, distance, warp,
+     * collision, locked, oneway, shift-warning, shift, pause, resume, win, gameover
+     * @returns {Function} Call to stop listening
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
+    }
+
+    /**
+     * Tell every listener for an event
+     */
+    emit(type, detail = {}) {
+        this.listeners.get(type)?.forEach(listener => listener(detail));
+    }
+
+    /**
+     * Start a fresh run, on a new maze if one is given
+     */
+    reset(maze = this.maze) {
+        this.maze = maze;
+        this.player.reset(maze.start.x, maze.start.y, maze.start.z);
+
+        // 'playing', 'won' or 'lost' - and for a lost run, 'energy' or 'time'
+        this.state = 'playing';
+        this.reason = null;
+        // The clock starts with the first move
+        this.started = false;
+        // When the run was paused (on the player's clock), or null
+        this.pausedAt = null;
+
+        this.energy = 1.0; // 0-1
+        this.combo = 0;
+        this.maxCombo = 0;
+        this.inventory.clear();
+        this.cellVisits.clear();
+
+        // Direction the player is sliding in across ice, or null
+        this.slide = null;
+        // Teleport waiting for the step into a teleporter to land ({ from, to } positions), or null
+        this.warp = null;
+        // Moves sent while the player was busy, made in order as it comes free
+        this.queue = [];
+        // Endless score - the most steps (with every wall removed) from the start
+        this.distance = 0;
+
+        this.startTime = 0;
+        this.elapsedTime = 0;
+        this.remainingTime = this.rules.timeLimit;
+
+        // Shifts follow the maze seed, so a shared link shifts the same way
+        this.nextShiftTime = null;
+        this.shiftWarned = false;
+        this.shiftRandom = new Random(`${maze.seed}:shift`);
+        this.emit('reset');
+    }
+
+    /**
+     * Try to move the player one step in a maze direction
+     * @returns {'moved'|'collision'|'locked'|'oneway'|'invalid'|null} What happened,
+     *          or null if the command was ignored (the run is over or the player is busy)
+     */
+    move(direction) {
+        if (this.state !== 'playing' || this.isPaused() || !this.player.canAcceptInput()) return null;
+
+        // The first command starts the clock
+        if (!this.started) {
+            this.started = true;
+            this.startTime = this.player.clock();
+            this.scheduleShift();
+            this.emit('start');
+        }
+
+        const { gridX, gridY, gridZ } = this.player;
+        const blocked = this.maze.canMove(gridX, gridY, direction, gridZ, this.inventory);
+
+        // No wall that way at all (e.g. inward from the centre of a circular maze, or below the ground floor)
+        if (blocked === 'invalid') return 'invalid';
+
+        // Moves buffered behind a blocked one were meant for the way through
+        if (blocked) this.queue = [];
+
+        if (blocked === 'locked') {
+            this.bumpLockedDoor(direction);
+            return 'locked';
+        }
+        if (blocked === 'oneway') {
+            this.bumpOneWay(direction);
+            return 'oneway';
+        }
+        if (blocked) {
+            this.collide(direction);
+            return 'collision';
+        }
+        this.step(direction);
+        return 'moved';
+    }
+
+    /**
+     * Send a move the way a player's input does: made now if the player is
+     * free, or kept until it is if there is room in the buffer
+     * @param {boolean} [buffer=true] - Keep a move sent while the player is busy rather than drop it
+     * @returns {string|null} What happened (see move), 'buffered', or null if the move was dropped
+     */
+    send(direction, buffer = true) {
+        if (this.state !== 'playing' || this.isPaused()) return null;
+
+        // Mid-move, or with earlier moves still waiting, this one waits its turn
+        if (!this.player.canAcceptInput() || this.queue.length > 0) {
+            if (!buffer || this.queue.length >= this.bufferSize) return null;
+            this.queue.push(direction);
+            return 'buffered';
+        }
+        return this.move(direction);
+    }
+
+    /**
+     * Advance the run to a moment in time: finish moves, carry on slides and
+     * teleports, run the clock and shift the walls
+     * @param {number} [now] - Time in ms on the player's clock
+     */
+    update(now = this.player.clock()) {
+        if (this.isPaused()) return;
+        this.player.update(now);
+        if (this.state !== 'playing') return;
+
+        // Ice keeps the player moving as soon as the last step lands
+        if (this.slide && this.player.canAcceptInput()) {
+            this.continueSlide();
+        }
+
+        // A teleporter fires as soon as the step into it lands
+        if (this.warp && this.state === 'playing' && this.player.canAcceptInput()) {
+            this.completeWarp();
+        }
+
+        // A buffered move goes as soon as the last one lands
+        if (this.queue.length > 0 && this.state === 'playing' && this.player.canAcceptInput()) {
+            this.move(this.queue.shift());
+        }
+
+        if (!this.started || this.state !== 'playing') return;
+
+        this.updateClock(now);
+        if (this.remainingTime <= 0) {
+            this.endRun('lost', 'time');
+            return;
+        }
+
+        // Shifting walls, once the clock is running
+        if (this.nextShiftTime !== null) {
+            this.updateShift(now);
+        }
+    }
+
+    /**
+     * Whether the run is paused
+     */
+    isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    /**
+     * Stop the clock, the shifts and the move in progress until resume()
+     * @returns {boolean} Whether the run was paused (a finished run can't be)
+     */
+    pause() {
+        if (this.state !== 'playing' || this.isPaused()) return false;
+        this.pausedAt = this.player.clock();
+        // Moves buffered before the pause are stale after it
+        this.queue = [];
+        this.emit('pause');
+        return true;
+    }
+
+    /**
+     * Carry on a paused run as if no time had passed
+     */
+    resume() {
+        if (!this.isPaused()) return;
+        const paused = this.player.clock() - this.pausedAt;
+        this.pausedAt = null;
+
+        this.startTime += paused;
+        if (this.nextShiftTime !== null) {
+            this.nextShiftTime += paused;
+        }
+        this.player.moveStartTime += paused;
+        this.player.bounceStartTime += paused;
+        this.emit('resume');
+    }
+
+    /**
+     * Work out the time used and left
+     */
+    updateClock(now = this.player.clock()) {
+        this.elapsedTime = Math.max(0, (now - this.startTime) / 1000);
+        this.remainingTime = Math.max(0, this.rules.timeLimit - this.elapsedTime);
+    }
+
+    /**
+     * A plain copy of where the run stands
+     */
+    getState() {
+        return {
+            state: this.state,
+            reason: this.reason,
+            paused: this.isPaused(),
+            position: { x: this.player.gridX, y: this.player.gridY, z: this.player.gridZ },
+            energy: this.energy,
+            combo: this.combo,
+            maxCombo: this.maxCombo,
+            keys: [...this.inventory],
+            moves: this.player.moveCount,
+            collisions: this.player.collisionCount,
+            elapsedTime: this.elapsedTime,
+            remainingTime: this.remainingTime,
+            distance: this.distance
+        };
+    }
+
+    /**
+     * Take one step in an open direction
+     */
+    step(direction) {
+        const { gridX, gridY, gridZ } = this.player;
+        const from = { x: gridX, y: gridY, z: gridZ };
+        const targets = this.maze.getMoveTargets(gridX, gridY, direction, gridZ, this.inventory);
+        const lastVisit = ({ x, y, z }) => this.cellVisits.get(`${x},${y},${z}`) ?? -1;
+        const target = targets.reduce((best, cell) => (lastVisit(cell) < lastVisit(best) ? cell : best));
+        this.cellVisits.set(`${target.x},${target.y},${target.z}`, this.player.moveCount);
+        const terrain = this.maze.getTerrain(target.x, target.y, target.z);
+        const isVertical = direction === 'up' || direction === 'down';
+
+        // Wading into mud takes twice as long
+        this.player.moveDuration = this.player.baseMoveDuration * (terrain === 'mud' ? 2 : 1);
+        this.player.terrain = terrain;
+        this.player.moveTo(target.x, target.y, target.z, target.via);
+        this.emit('move', { direction, from, to: target, terrain });
+
+        if (this.maze.endless) {
+            this.updateDistance(target);
+        }
+
+        // Ice carries the player on in the same direction once this move lands
+        if (terrain === 'ice' && !isVertical) {
+            this.slide = { direction, steps: (this.slide?.steps ?? 0) + 1 };
+        } else {
+            this.slide = null;
+        }
+
+        this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        this.emit('combo', { combo: this.combo });
+
+        // Pick up a key lying in the cell
+        const key = this.maze.getKeyAt(target.x, target.y, target.z);
+        if (key !== -1 && !this.inventory.has(key)) {
+            this.inventory.add(key);
+            this.emit('key', { door: key });
+        }
+
+        if (this.maze.isGoal(target.x, target.y, target.z)) {
+            this.slide = null;
+            this.endRun('won');
+            return;
+        }
+
+        // Drain zones sap energy with every step
+        if (terrain === 'drain') {
+            this.drainEnergy(this.rules.energyLossPerDrainStep);
+            if (this.state !== 'playing') {
+                this.slide = null;
+                return;
+            }
+        }
+
+        // A teleporter sends the player on to its partner once this step lands
+        const partner = this.maze.getTeleportTarget(target.x, target.y, target.z);
+        this.warp = partner ? { from: target, to: partner } : null;
+        if (partner) {
+            this.slide = null;
+        }
+    }
+
+    /**
+     * Keep sliding across ice until a wall (or solid ground) stops the player
+     */
+    continueSlide() {
+        const { direction, steps } = this.slide;
+        const { gridX, gridY, gridZ } = this.player;
+
+        // A ring of ice (round a wrapping or circular maze) would slide forever
+        if (steps > this.maze.floorSize ||
+            this.maze.canMove(gridX, gridY, direction, gridZ, this.inventory) !== false) {
+            this.slide = null;
+            return;
+        }
+        this.step(direction);
+    }
+
+    /**
+     * Carry the player from the teleporter they stepped into to its partner
+     */
+    completeWarp() {
+        const { from, to } = this.warp;
+        this.warp = null;
+
+        this.player.warpTo(to.x, to.y, to.z);
+        this.cellVisits.set(`${to.x},${to.y},${to.z}`, this.player.moveCount);
+        this.emit('warp', { from, to });
+    }
+
+    /**
+     * Stream in the chunks around an endless run and score the furthest reach
+     */
+    updateDistance({ x, y }) {
+        this.maze.update(x, y);
+        const distance = Math.max(this.distance, this.maze.topology.distance(this.maze.start, { x, y }));
+        if (distance === this.distance) return;
+
+        this.distance = distance;
+        this.emit('distance', { distance });
+    }
+
+    /**
+     * Walk into a wall: the combo breaks and energy is lost
+     */
+    collide(direction) {
+        const { gridX, gridY, gridZ } = this.player;
+        // Floors and ceilings have no on-screen wall, so the player bounces in place
+        const isVertical = direction === 'up' || direction === 'down';
+
+        // Bouncing counts the collision
+        this.player.bounce(isVertical ? { x: 0, y: 0 } : this.maze.topology.getWallNormal(gridX, gridY, direction));
+
+        this.combo = 0;
+        this.emit('combo', { combo: 0 });
+
+        // Every wall the move was blocked by ('out' on a polar ring may cover several)
+        const walls = isVertical ? [] : this.maze.topology.expandDirection(gridX, gridY, direction);
+        this.drainEnergy(this.rules.energyLossPerCollision);
+        this.emit('collision', { direction, walls });
+    }
+
+    /**
+     * Bump into a locked door - it costs no energy and doesn't break the combo
+     */
+    bumpLockedDoor(direction) {
+        const { gridX, gridY, gridZ } = this.player;
+
+        this.player.bounce(this.maze.topology.getWallNormal(gridX, gridY, direction), false);
+
+        // Only the locked walls ('out' on a polar ring may also cover solid ones)
+        const walls = this.maze.topology.expandDirection(gridX, gridY, direction)
+            .filter(wall => this.maze.getDoor(gridX, gridY, gridZ, wall) !== -1);
+        this.emit('locked', { direction, walls });
+    }
+
+    /**
+     * Walk into the closed end of a one-way passage - like a locked door it costs nothing
+     */
+    bumpOneWay(direction) {
+        const { gridX, gridY, gridZ } = this.player;
+
+        this.player.bounce(this.maze.topology.getWallNormal(gridX, gridY, direction), false);
+
+        const cell = { x: gridX, y: gridY, z: gridZ };
+        const walls = this.maze.topology.expandDirection(gridX, gridY, direction)
+            .filter(wall => this.maze.isOneWayAgainst(cell, wall));
+        this.emit('oneway', { direction, walls });
+    }
+
+    /**
+     * Take energy away, ending the run when none is left
+     */
+    drainEnergy(amount) {
+        this.energy = Math.max(0, this.energy - amount);
+        this.emit('energy', { energy: this.energy });
+        if (this.energy <= 0) {
+            this.endRun('lost', 'energy');
+        }
+    }
+
+    /**
+     * Set the clock for the next shift, if the walls shift at all
+     */
+    scheduleShift() {
+        this.nextShiftTime = this.rules.shifting && !this.maze.endless
+            ? this.player.clock() + this.rules.shiftInterval * 1000
+            : null;
+        this.shiftWarned = false;
+    }
+
+    /**
+     * Warn as a shift draws near, then rewire the maze around the player
+     */
+    updateShift(now) {
+        const { shiftWarning } = this.rules;
+        if (!this.shiftWarned && now >= this.nextShiftTime - shiftWarning * 1000) {
+            this.shiftWarned = true;
+            this.emit('shift-warning', { seconds: shiftWarning });
+        }
+        if (now < this.nextShiftTime) return;
+
+        // The cells the player is in (both, mid-move) keep their walls, and the goal stays within reach
+        const { gridX, gridY, gridZ, moveTarget } = this.player;
+        const changed = this.maze.shift({
+            keep: [this.maze.cellId(gridX, gridY, gridZ), this.maze.cellId(moveTarget.x, moveTarget.y, moveTarget.z)],
+            from: moveTarget,
+            keys: this.inventory,
+            random: this.shiftRandom
+        });
+        this.scheduleShift();
+        this.emit('shift', { changed });
+    }
+
+    /**
+     * Finish the run
+     * @param {'won'|'lost'} state
+     * @param {'energy'|'time'|null} [reason] - What ended a lost run
+     */
+    endRun(state, reason = null) {
+        this.updateClock();
+        this.state = state;
+        this.reason = reason;
+        this.emit(state === 'won' ? 'win' : 'gameover', { reason });
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * Maze Format — Invisible Maze
+ * Compact, URL-safe encoding of the serialized maze produced by Maze.toJSON()
+ * Walls are bit-packed, one bit per wall shared by two cells, so a 10x10
+ * maze fits in about 60 characters of base64
+ */
+
+import { createTopology, topologies, applyMask, applyWrap } from './topology.js';
+
+// Version 2 added masks, version 3 wrapping, version 4 terrain, version 5 doors,
+// version 6 teleporters and version 7 one-way passages; older strings still decode
+export const FORMAT_VERSION = 7;
+
+// Terrain characters (see Maze.toJSON) by their 2-bit code
+const TERRAIN_CHARS = '.mid';
+
+// Topology codes stored in the 4-bit header field - append only
+const TOPOLOGY_CODES = ['square', 'hex', 'polar'];
+
+/**
+ * Visit every cell in a fixed order
+ * @param {Function} callback - (x, y, z) for each cell
+ */
+function forEachCell(topology, floors, callback) {
+    for (let z = 0; z < floors; z++) {
+        for (let y = 0; y < topology.height; y++) {
+            for (let x = 0; x < topology.rowLength(y); x++) {
+                if (topology.contains(x, y)) callback(x, y, z);
+            }
+        }
+    }
+}
+
+/**
+ * Visit every wall between two cells exactly once, in a fixed order
+ * Boundary walls are skipped since they are always closed
+ * @param {Function} callback - (x, y, z, direction) for each shared wall
+ */
+function forEachSharedWall(topology, floors, callback) {
+    for (let z = 0; z < floors; z++) {
+        for (let y = 0; y < topology.height; y++) {
+            for (let x = 0; x < topology.rowLength(y); x++) {
+                if (!topology.contains(x, y)) continue;
+                for (const direction of topology.directionsAt(x, y)) {
+                    const next = topology.neighbor(x, y, direction);
+                    // Count each wall from the cell that comes first
+                    if (next && (next.y > y || (next.y === y && next.x > x))) {
+                        callback(x, y, z, direction);
+                    }
+                }
+                if (z < floors - 1) {
+                    callback(x, y, z, 'up');
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Writes fixed-width unsigned integers into a growing byte array
+ */
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bitLength = 0;
+    }
+
+    write(value, bits) {
+        for (let i = bits - 1; i >= 0; i--) {
+            const byteIndex = this.bitLength >> 3;
+            if (byteIndex === this.bytes.length) this.bytes.push(0);
+            if ((value >>> i) & 1) {
+                this.bytes[byteIndex] |= 0x80 >> (this.bitLength & 7);
+            }
+            this.bitLength++;
+        }
+    }
+
+    writeString(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length > 255) {
+            throw new Error('Maze metadata strings must be at most 255 bytes');
+        }
+        this.write(bytes.length, 8);
+        bytes.forEach(byte => this.write(byte, 8));
+    }
+}
+
+/**
+ * Reads back what BitWriter wrote, failing on truncated input
+ */
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    read(bits) {
+        if (this.position + bits > this.bytes.length * 8) {
+            throw new Error('Invalid maze string: data is truncated');
+        }
+        let value = 0;
+        for (let i = 0; i < bits; i++) {
+            const bit = (this.bytes[this.position >> 3] >> (7 - (this.position & 7))) & 1;
+            value = value * 2 + bit;
+            this.position++;
+        }
+        return value;
+    }
+
+    /**
+     * Bits not read yet
+     */
+    remaining() {
+        return this.bytes.length * 8 - this.position;
+    }
+
+    readString() {
+        const length = this.read(8);
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            bytes[i] = this.read(8);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+/**
+ * Pack serialized maze data into a URL-safe base64 string
+ * @param {Object} data - Output of Maze.toJSON()
+ */
+export function encodeMaze(data) {
+    const doors = data.doors ?? [];
+    const teleporters = data.teleporters ?? [];
+    const oneWays = data.oneWays ?? [];
+    const positions = [data.start, data.goal];
+    if (doors.length > 255 || teleporters.length > 255 || oneWays.length > 255 || data.floors > 15 || data.width > 0xFFFF || data.height > 0xFFFF ||
+        [...positions, ...doors, ...doors.map(door => door.key), ...teleporters.flat(), ...oneWays].some(({ x, y }) => x > 0xFFFF || y > 0xFFFF)) {
+        throw new Error('Maze is too large for the compact format');
+    }
+
+    const writer = new BitWriter();
+    const mask = data.mask ? data.mask.map(row => [...row].map(char => char !== '.')) : null;
+    let topology = createTopology(data.topology, data.width, data.height);
+    if (data.wrap) {
+        topology = applyWrap(topology);
+    }
+    if (mask) {
+        topology = applyMask(topology, mask);
+    }
+
+    writer.write(FORMAT_VERSION, 8);
+    writer.write(TOPOLOGY_CODES.indexOf(data.topology), 4);
+    writer.write(data.floors, 4);
+    writer.write(data.width, 16);
+    writer.write(data.height, 16);
+    for (const { x, y, z } of positions) {
+        writer.write(x, 16);
+        writer.write(y, 16);
+        writer.write(z, 4);
+    }
+    writer.write(Math.round(data.braid * 100), 7);
+    writer.writeString(data.algorithm);
+    writer.writeString(data.seed);
+    writer.write(data.wrap ? 1 : 0, 1);
+
+    // Mask flag, then one bit per grid slot
+    writer.write(mask ? 1 : 0, 1);
+    if (mask) {
+        mask.forEach(row => row.forEach(inside => writer.write(inside ? 1 : 0, 1)));
+    }
+
+    // Terrain flag, then two bits per cell
+    writer.write(data.terrain ? 1 : 0, 1);
+    if (data.terrain) {
+        forEachCell(topology, data.floors, (x, y, z) => {
+            writer.write(TERRAIN_CHARS.indexOf(data.terrain[z][y][x]), 2);
+        });
+    }
+
+    // Door count, then each door's cell, wall and key
+    writer.write(doors.length, 8);
+    for (const { x, y, z, direction, key } of doors) {
+        writer.write(x, 16);
+        writer.write(y, 16);
+        writer.write(z, 4);
+        writer.write(topology.directionsAt(x, y).indexOf(direction), 3);
+        writer.write(key.x, 16);
+        writer.write(key.y, 16);
+        writer.write(key.z, 4);
+    }
+
+    // Teleporter count, then both cells of each pair
+    writer.write(teleporters.length, 8);
+    for (const { x, y, z } of teleporters.flat()) {
+        writer.write(x, 16);
+        writer.write(y, 16);
+        writer.write(z, 4);
+    }
+
+    // One-way passage count, then the cell and wall each is left through
+    writer.write(oneWays.length, 8);
+    for (const { x, y, z, direction } of oneWays) {
+        writer.write(x, 16);
+        writer.write(y, 16);
+        writer.write(z, 4);
+        writer.write(topology.directionsAt(x, y).indexOf(direction), 3);
+    }
+
+    // One bit per shared wall, set when closed
+    forEachSharedWall(topology, data.floors, (x, y, z, direction) => {
+        writer.write(data.walls[z][y][x].includes(direction) ? 1 : 0, 1);
+    });
+
+    const binary = writer.bytes.map(byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Unpack a string from encodeMaze() back into serialized maze data
+ * Only the encoding is checked here; Maze.fromJSON() validates the maze itself
+ */
+export function decodeMaze(string) {
+    if (typeof string !== 'string' || !/^[A-Za-z0-9_-]+$/.test(string)) {
+        throw new Error('Invalid maze string: expected URL-safe base64');
+    }
+
+    let binary;
+    try {
+        binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (e) {
+        throw new Error('Invalid maze string: base64 could not be decoded');
+    }
+    const reader = new BitReader(Uint8Array.from(binary, char => char.charCodeAt(0)));
+
+    const version = reader.read(8);
+    if (version < 1 || version > FORMAT_VERSION) {
+        throw new Error(`Unsupported maze format version: ${version}`);
+    }
+
+    const topologyName = TOPOLOGY_CODES[reader.read(4)];
+    if (!topologyName || !Object.hasOwn(topologies, topologyName)) {
+        throw new Error('Invalid maze string: unknown topology');
+    }
+    const floors = reader.read(4);
+    const width = reader.read(16);
+    const height = reader.read(16);
+    if (floors < 1 || width < 1 || height < 1) {
+        throw new Error('Invalid maze string: maze has no cells');
+    }
+
+    const [start, goal] = [0, 1].map(() => ({ x: reader.read(16), y: reader.read(16), z: reader.read(4) }));
+    const braid = reader.read(7) / 100;
+    const algorithm = reader.readString();
+    const seed = reader.readString();
+    const wrap = version >= 3 && reader.read(1) === 1;
+
+    // The header's size is checked against the bits that follow before
+    // anything that size is built, so a short string can't claim a huge maze
+    const tooShort = new Error(`Invalid maze string: too short for a ${width}x${height} maze`);
+    let mask = null;
+    if (version >= 2 && reader.read(1) === 1) {
+        if (width * height > reader.remaining()) throw tooShort;
+        mask = Array.from({ length: height }, () => Array.from({ length: width }, () => reader.read(1) === 1));
+    }
+
+    let topology;
+    try {
+        topology = createTopology(topologyName, width, height);
+        if (wrap) {
+            topology = applyWrap(topology);
+        }
+    } catch (e) {
+        throw new Error(`Invalid maze string: ${e.message}`);
+    }
+    if (mask) {
+        topology = applyMask(topology, mask);
+    } else {
+        // Each floor's cells share at least one fewer walls than there are
+        // cells, and the floors one more wall per cell - a bit each
+        let cells = 0;
+        for (let y = 0; y < height; y++) {
+            cells += topology.rowLength(y);
+        }
+        if (floors * cells - 1 > reader.remaining()) throw tooShort;
+    }
+
+    let terrain = null;
+    if (version >= 4 && reader.read(1) === 1) {
+        terrain = Array.from({ length: floors }, () =>
+            Array.from({ length: height }, (_, y) => Array(topology.rowLength(y)).fill('.')));
+        forEachCell(topology, floors, (x, y, z) => {
+            terrain[z][y][x] = TERRAIN_CHARS[reader.read(2)];
+        });
+    }
+
+    const doors = [];
+    const doorCount = version >= 5 ? reader.read(8) : 0;
+    for (let i = 0; i < doorCount; i++) {
+        const x = reader.read(16);
+        const y = reader.read(16);
+        const z = reader.read(4);
+        const wall = reader.read(3);
+        const direction = topology.contains(x, y) ? topology.directionsAt(x, y)[wall] ?? null : null;
+        const key = { x: reader.read(16), y: reader.read(16), z: reader.read(4) };
+        doors.push({ x, y, z, direction, key });
+    }
+
+    const teleporters = [];
+    const teleporterCount = version >= 6 ? reader.read(8) : 0;
+    for (let i = 0; i < teleporterCount; i++) {
+        teleporters.push([0, 1].map(() => ({ x: reader.read(16), y: reader.read(16), z: reader.read(4) })));
+    }
+
+    const oneWays = [];
+    const oneWayCount = version >= 7 ? reader.read(8) : 0;
+    for (let i = 0; i < oneWayCount; i++) {
+        const x = reader.read(16);
+        const y = reader.read(16);
+        const z = reader.read(4);
+        const wall = reader.read(3);
+        const direction = topology.contains(x, y) ? topology.directionsAt(x, y)[wall] ?? null : null;
+        oneWays.push({ x, y, z, direction });
+    }
+
+    // Boundary walls and all shared walls start closed, then open what the bits say
+    const walls = [];
+    for (let z = 0; z < floors; z++) {
+        walls.push(Array.from({ length: height }, (_, y) =>
+            Array.from({ length: topology.rowLength(y) }, (_, x) => {
+                if (!topology.contains(x, y)) return null;
+                const closed = [...topology.directionsAt(x, y)];
+                if (z < floors - 1) closed.push('up');
+                if (z > 0) closed.push('down');
+                return closed;
+            })
+        ));
+    }
+
+    forEachSharedWall(topology, floors, (x, y, z, direction) => {
+        if (reader.read(1) === 1) return;
+        const next = direction === 'up' ? { x, y, z: z + 1 } : { ...topology.neighbor(x, y, direction), z };
+        const back = direction === 'up' ? 'down' : topology.getDirection(next, { x, y });
+        walls[z][y][x] = walls[z][y][x].filter(d => d !== direction);
+        walls[next.z][next.y][next.x] = walls[next.z][next.y][next.x].filter(d => d !== back);
+    });
+
+    return {
+        version,
+        topology: topologyName,
+        width,
+        height,
+        floors,
+        wrap,
+        start,
+        goal,
+        seed,
+        algorithm,
+        braid,
+        mask: mask && mask.map(row => row.map(inside => (inside ? '#' : '.')).join('')),
+        terrain: terrain && terrain.map(level => level.map(row => row.join(''))),
+        doors: doors.length > 0 ? doors : null,
+        teleporters: teleporters.length > 0 ? teleporters : null,
+        oneWays: oneWays.length > 0 ? oneWays : null,
+        walls
+    };
+}
@@ -0,0 +1,151 @@
+/**
+ * Gamepad Input — Invisible Maze
+ * Polls the Gamepad API once a frame and turns the D-pad, left stick and
+ * buttons into the same actions the keyboard sends (see bindings.js).
+ * Buttons follow the browser's "standard" mapping
+ */
+
+// Buttons, by standard-mapping index, and the actions they send
+export const BUTTON_ACTIONS = {
+    2: 'restart', // X / Square
+    3: 'theme', // Y / Triangle
+    4: 'climb-down', // Left bumper
+    5: 'climb-up', // Right bumper
+    9: 'pause' // Start
+};
+
+// D-pad buttons as screen vectors (y down)
+const DPAD = {
+    12: { x: 0, y: -1 },
+    13: { x: 0, y: 1 },
+    14: { x: -1, y: 0 },
+    15: { x: 1, y: 0 }
+};
+
+/**
+ * Snap a stick or D-pad vector to the move action pointing closest to it
+ * @param {Object} moves - Move action -> screen vector of the wall it heads for,
+ *        so a hex grid snaps six ways and a square one four
+ * @param {number} [deadzone=0] - Shorter vectors count as the stick at rest
+ * @returns {string|null}
+ */
+export function snapDirection(x, y, moves, deadzone = 0) {
+    const length = Math.hypot(x, y);
+    if (length <= deadzone) return null;
+
+    let best = null;
+    let bestCos = -Infinity;
+    for (const [action, normal] of Object.entries(moves)) {
+        const cos = (x * normal.x + y * normal.y) / (length * Math.hypot(normal.x, normal.y));
+        if (cos > bestCos) {
+            best = action;
+            bestCos = cos;
+        }
+    }
+    return best;
+}
+
+export class GamepadInput {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.deadzone=0.35] - Stick travel (0-1) ignored as drift
+     * @param {number} [options.repeatDelay=250] - ms a direction is held before it repeats
+     * @param {Object} [options.buttons] - Button index -> action, BUTTON_ACTIONS by default
+     */
+    constructor(options = {}) {
+        this.deadzone = options.deadzone ?? 0.35;
+        this.repeatDelay = options.repeatDelay ?? 250;
+        this.buttons = options.buttons ?? BUTTON_ACTIONS;
+
+        // Direction held last poll and since when, so a held direction repeats
+        this.held = null;
+        this.heldSince = 0;
+        // Buttons down last poll, so a press sends its action once
+        this.pressed = new Set();
+    }
+
+    /**
+     * The pads plugged in now
+     */
+    getPads() {
+        return [...(globalThis.navigator?.getGamepads?.() ?? [])].filter(pad => pad?.connected);
+    }
+
+    /**
+     * Read every pad and return the actions to send this frame
+     * @param {number} now - Time in ms
+     * @param {Object} context
+     * @param {Object} context.moves - Move action -> screen vector, see snapDirection
+     * @param {boolean} context.ready - Whether the player is free, so a held direction can repeat
+     * @returns {string[]}
+     */
+    poll(now, { moves, ready }) {
+        const pads = this.getPads();
+        const actions = [];
+        const pressed = new Set();
+        let dpad = { x: 0, y: 0 };
+        let stick = null;
+
+        for (const pad of pads) {
+            pad.buttons.forEach((button, index) => {
+                if (!button.pressed) return;
+                if (DPAD[index]) {
+                    dpad = { x: dpad.x + DPAD[index].x, y: dpad.y + DPAD[index].y };
+                } else if (this.buttons[index]) {
+                    pressed.add(index);
+                }
+            });
+
+            const [x = 0, y = 0] = pad.axes;
+            if (!stick && Math.hypot(x, y) > this.deadzone) {
+                stick = { x, y };
+            }
+        }
+
+        // Buttons act once per press
+        for (const index of pressed) {
+            if (!this.pressed.has(index)) {
+                actions.push(this.buttons[index]);
+            }
+        }
+        this.pressed = pressed;
+
+        // The D-pad wins over the stick; a direction acts when it changes and
+        // again whenever the player is free once it has been held a while
+        const { x, y } = dpad.x !== 0 || dpad.y !== 0 ? dpad : stick ?? dpad;
+        const direction = snapDirection(x, y, moves, dpad.x !== 0 || dpad.y !== 0 ? 0 : this.deadzone);
+        if (direction !== this.held) {
+            this.held = direction;
+            this.heldSince = now;
+            if (direction) actions.push(direction);
+        } else if (direction && ready && now - this.heldSince >= this.repeatDelay) {
+            actions.push(direction);
+        }
+
+        return actions;
+    }
+
+    /**
+     * Stop the held direction repeating (it ran into a wall) until it is let go or changed
+     */
+    stopRepeat() {
+        this.heldSince = Infinity;
+    }
+
+    /**
+     * Shake every pad that can
+     * @param {number} strength - 0-1
+     * @param {number} duration - ms
+     */
+    rumble(strength, duration) {
+        for (const pad of this.getPads()) {
+            pad.vibrationActuator?.playEffect?.('dual-rumble', {
+                duration,
+                strongMagnitude: strength,
+                weakMagnitude: Math.min(1, strength * 1.5)
+            }).catch(() => {
+                // Not every pad (or browser) rumbles
+            });
+        }
+    }
+}
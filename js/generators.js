@@ -0,0 +1,279 @@
+/**
+ * Maze Generators — Invisible Maze
+ * Strategies for carving a perfect maze out of a fully walled grid.
+ * Each generator receives the maze (with its grid already initialized)
+ * and a seeded Random, and carves passages with maze.removeWallById()
+ * Cells are integer ids (see Maze.cellId), so per-cell bookkeeping lives
+ * in typed arrays indexed by id. Generators should walk maze.getCellIds()
+ * rather than the grid, since masked-out grid slots are not cells
+ */
+
+/**
+ * Recursive backtracker (DFS) - long twisty corridors, few branches
+ */
+export function backtracker(maze, random) {
+    const stack = [];
+    const startCell = maze.getCellIds()[0];
+    const visited = new Uint8Array(maze.slotCount);
+    visited[startCell] = 1;
+    stack.push(startCell);
+
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const neighbors = maze.getNeighborIds(current).filter(n => !visited[n]);
+
+        if (neighbors.length === 0) {
+            stack.pop();
+        } else {
+            // Choose random unvisited neighbor
+            const next = random.pick(neighbors);
+            maze.removeWallById(current, next);
+            visited[next] = 1;
+            stack.push(next);
+        }
+    }
+}
+
+/**
+ * Randomized Prim - grows outward from a seed cell, lots of short dead ends
+ */
+export function prim(maze, random) {
+    const inMaze = new Uint8Array(maze.slotCount);
+    const frontier = [];
+    const inFrontier = new Uint8Array(maze.slotCount);
+
+    const add = (cell) => {
+        inMaze[cell] = 1;
+        for (const neighbor of maze.getNeighborIds(cell)) {
+            if (!inMaze[neighbor] && !inFrontier[neighbor]) {
+                inFrontier[neighbor] = 1;
+                frontier.push(neighbor);
+            }
+        }
+    };
+
+    add(random.pick(maze.getCellIds()));
+
+    while (frontier.length > 0) {
+        // Swap-remove a random frontier cell
+        const index = random.int(frontier.length);
+        const cell = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        const connected = maze.getNeighborIds(cell).filter(n => inMaze[n]);
+        maze.removeWallById(cell, random.pick(connected));
+        add(cell);
+    }
+}
+
+/**
+ * Randomized Kruskal - merges random wall pairs, evenly spread branching
+ */
+export function kruskal(maze, random) {
+    const parent = new Int32Array(maze.slotCount);
+    const find = (cell) => {
+        let root = cell;
+        while (parent[root] !== root) root = parent[root];
+        // Path compression
+        while (parent[cell] !== root) {
+            const next = parent[cell];
+            parent[cell] = root;
+            cell = next;
+        }
+        return root;
+    };
+
+    // Each edge once (ids follow reading order), counted first so the
+    // (a, b) pairs fit a typed array
+    const cells = maze.getCellIds();
+    let edgeCount = 0;
+    for (const cell of cells) {
+        parent[cell] = cell;
+        for (const neighbor of maze.getNeighborIds(cell)) {
+            if (neighbor > cell) edgeCount++;
+        }
+    }
+    const ends = new Int32Array(edgeCount * 2);
+    let end = 0;
+    for (const cell of cells) {
+        for (const neighbor of maze.getNeighborIds(cell)) {
+            if (neighbor > cell) {
+                ends[end++] = cell;
+                ends[end++] = neighbor;
+            }
+        }
+    }
+
+    // Shuffle the pairs in place (Fisher-Yates), then merge them in order
+    for (let i = edgeCount - 1; i > 0; i--) {
+        const j = random.int(i + 1);
+        const [a, b] = [ends[i * 2], ends[i * 2 + 1]];
+        ends[i * 2] = ends[j * 2];
+        ends[i * 2 + 1] = ends[j * 2 + 1];
+        ends[j * 2] = a;
+        ends[j * 2 + 1] = b;
+    }
+
+    for (let edge = 0; edge < edgeCount; edge++) {
+        const a = ends[edge * 2];
+        const b = ends[edge * 2 + 1];
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) {
+            parent[rootA] = rootB;
+            maze.removeWallById(a, b);
+        }
+    }
+}
+
+/**
+ * Wilson - loop-erased random walks, an unbiased sample of all perfect mazes
+ */
+export function wilson(maze, random) {
+    const cells = maze.getCellIds();
+    const inMaze = new Uint8Array(maze.slotCount);
+    inMaze[random.pick(cells)] = 1;
+    const remaining = cells.filter(cell => !inMaze[cell]);
+    random.shuffle(remaining);
+
+    // Last exit of each cell on the current walk
+    const exits = new Int32Array(maze.slotCount);
+
+    for (const origin of remaining) {
+        if (inMaze[origin]) continue;
+
+        // Random walk until the maze is hit, remembering the last exit of each cell
+        let cell = origin;
+        while (!inMaze[cell]) {
+            const next = maze.pickNeighborId(cell, random);
+            exits[cell] = next;
+            cell = next;
+        }
+
+        // Carve the loop-erased path
+        cell = origin;
+        while (!inMaze[cell]) {
+            const next = exits[cell];
+            maze.removeWallById(cell, next);
+            inMaze[cell] = 1;
+            cell = next;
+        }
+    }
+}
+
+/**
+ * Eller - row by row with set merging, constant memory per row
+ */
+export function eller(maze, random) {
+    const setOf = new Int32Array(maze.slotCount).fill(-1);
+    let nextSet = 0;
+
+    for (let y = 0; y < maze.height; y++) {
+        const row = Array.from({ length: maze.width }, (_, x) => maze.cellId(x, y));
+        const isLastRow = y === maze.height - 1;
+
+        // Cells not carried down from the previous row start in their own set.
+        // Each set's columns are kept so a merge relabels only the smaller set
+        const members = new Map();
+        row.forEach((cell, x) => {
+            if (setOf[cell] === -1) setOf[cell] = nextSet++;
+            const set = setOf[cell];
+            if (!members.has(set)) members.set(set, []);
+            members.get(set).push(x);
+        });
+
+        // Randomly join adjacent cells of different sets (always on the last row)
+        for (let x = 0; x < maze.width - 1; x++) {
+            const a = row[x];
+            const b = row[x + 1];
+            const setA = setOf[a];
+            const setB = setOf[b];
+            if (setA !== setB && (isLastRow || random.next() < 0.5)) {
+                maze.removeWallById(a, b);
+                const [kept, merged] = members.get(setA).length >= members.get(setB).length
+                    ? [setA, setB]
+                    : [setB, setA];
+                const columns = members.get(kept);
+                for (const column of members.get(merged)) {
+                    setOf[row[column]] = kept;
+                    columns.push(column);
+                }
+                members.delete(merged);
+            }
+        }
+
+        if (isLastRow) break;
+
+        // Every set carves at least one passage down to the next row
+        for (const [set, columns] of members) {
+            random.shuffle(columns);
+            const count = 1 + random.int(columns.length);
+            for (let i = 0; i < count; i++) {
+                const below = maze.cellId(columns[i], y + 1);
+                maze.removeWallById(row[columns[i]], below);
+                setOf[below] = set;
+            }
+        }
+    }
+}
+
+/**
+ * Growing tree - mixes newest (DFS-like) and random (Prim-like) selection
+ * @param {number} [newestBias=0.5] - Chance of extending the newest cell
+ */
+export function growingTree(maze, random, newestBias = 0.5) {
+    const startCell = random.pick(maze.getCellIds());
+    let active = [startCell];
+    const visited = new Uint8Array(maze.slotCount);
+    visited[startCell] = 1;
+    // Cells with nowhere left to go stay in the list, marked dead, until they
+    // reach its end or fill half of it - splicing each out of a million-cell
+    // list would take seconds, and moving the last cell into the gap would
+    // lose track of the newest
+    const dead = new Uint8Array(maze.slotCount);
+    let deadCount = 0;
+
+    while (active.length > 0) {
+        const index = random.next() < newestBias ? active.length - 1 : random.int(active.length);
+        const cell = active[index];
+        if (dead[cell]) continue;
+        const neighbors = maze.getNeighborIds(cell).filter(n => !visited[n]);
+
+        if (neighbors.length === 0) {
+            dead[cell] = 1;
+            deadCount++;
+            // The newest live cell stays last
+            while (active.length > 0 && dead[active[active.length - 1]]) {
+                active.pop();
+                deadCount--;
+            }
+            if (deadCount * 2 > active.length) {
+                active = active.filter(n => !dead[n]);
+                deadCount = 0;
+            }
+            continue;
+        }
+
+        const next = random.pick(neighbors);
+        maze.removeWallById(cell, next);
+        visited[next] = 1;
+        active.push(next);
+    }
+}
+
+/**
+ * Binary tree - each cell opens north or east; fast, with a strong diagonal bias
+ */
+export function binaryTree(maze, random) {
+    for (let y = 0; y < maze.height; y++) {
+        for (let x = 0; x < maze.width; x++) {
+            const options = [];
+            if (y > 0) options.push(maze.cellId(x, y - 1));
+            if (x < maze.width - 1) options.push(maze.cellId(x + 1, y));
+            if (options.length > 0) {
+                maze.removeWallById(maze.cellId(x, y), random.pick(options));
+            }
+        }
+    }
+}
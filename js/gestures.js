@@ -0,0 +1,164 @@
+/**
+ * Swipe Gestures — Invisible Maze
+ * Turns swipes on an element (the canvas) into screen vectors for moves.
+ * A swipe has to travel far enough, fast enough, so a slow drag or a
+ * resting thumb doesn't move the player; keeping the finger down after a
+ * swipe keeps moving that way, and dragging on steers. Only fingers and
+ * pens swipe - a mouse has the keyboard beside it. The touch mode
+ * (buttons, swipes or both) is kept in localStorage
+ */
+
+// Where the touch mode is kept
+const STORAGE_KEY = 'invisible-maze:touch';
+
+// How a touch screen moves the player
+export const TOUCH_MODES = {
+    both: { label: 'Swipe + buttons', swipe: true, buttons: true },
+    swipe: { label: 'Swipe only', swipe: true, buttons: false },
+    buttons: { label: 'Buttons only', swipe: false, buttons: true }
+};
+
+export class SwipeInput {
+    /**
+     * @param {Element} element - Where swipes are read
+     * @param {Object} [options]
+     * @param {number} [options.minDistance=30] - px a swipe has to travel
+     * @param {number} [options.minVelocity=0.3] - px per ms a swipe has to reach
+     * @param {number} [options.velocityWindow=100] - ms of recent movement its speed is measured over
+     * @param {number} [options.holdDelay=300] - ms a finger rests after a swipe before it repeats
+     * @param {Storage|null} [options.storage] - Where the touch mode is kept, localStorage by default
+     */
+    constructor(element, options = {}) {
+        this.minDistance = options.minDistance ?? 30;
+        this.minVelocity = options.minVelocity ?? 0.3;
+        this.velocityWindow = options.velocityWindow ?? 100;
+        this.holdDelay = options.holdDelay ?? 300;
+        this.storage = options.storage !== undefined ? options.storage : globalThis.localStorage ?? null;
+        this.mode = this.load();
+
+        // The finger being read, where its next swipe is measured from, and
+        // its recent positions for how fast it is going
+        this.pointer = null;
+        // Swipes since the last poll, as screen vectors
+        this.pending = [];
+        // The last swipe while the finger stays down, and when it was made
+        this.held = null;
+        this.heldSince = 0;
+
+        element.addEventListener('pointerdown', e => this.handleDown(e));
+        element.addEventListener('pointermove', e => this.handleMove(e));
+        element.addEventListener('pointerup', e => this.handleUp(e));
+        element.addEventListener('pointercancel', e => this.handleUp(e));
+    }
+
+    /**
+     * Read the touch mode, falling back to swipes and buttons together
+     */
+    load() {
+        try {
+            const mode = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null')?.mode;
+            return Object.hasOwn(TOUCH_MODES, mode ?? '') ? mode : 'both';
+        } catch (e) {
+            return 'both';
+        }
+    }
+
+    /**
+     * Change the touch mode and keep it for the next visit
+     */
+    setMode(mode) {
+        this.mode = Object.hasOwn(TOUCH_MODES, mode ?? '') ? mode : 'both';
+        this.pointer = null;
+        this.held = null;
+        this.pending = [];
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ mode: this.mode }));
+        } catch (e) {
+            // The mode still holds for this visit
+        }
+    }
+
+    /**
+     * Whether swipes move the player at all
+     */
+    get enabled() {
+        return TOUCH_MODES[this.mode].swipe;
+    }
+
+    /**
+     * A finger (or pen) comes down - the first one is followed until it lifts
+     */
+    handleDown(e) {
+        if (!this.enabled || this.pointer || e.pointerType === 'mouse') return;
+        this.pointer = {
+            id: e.pointerId,
+            x: e.clientX,
+            y: e.clientY,
+            samples: [{ x: e.clientX, y: e.clientY, time: e.timeStamp }]
+        };
+        this.held = null;
+        e.target.setPointerCapture?.(e.pointerId);
+    }
+
+    /**
+     * Count a swipe each time the finger has travelled far (and, to start with, fast) enough
+     */
+    handleMove(e) {
+        const pointer = this.pointer;
+        if (!pointer || e.pointerId !== pointer.id) return;
+
+        // Speed is measured over the last moments, so resting before a flick doesn't slow it
+        const { samples } = pointer;
+        samples.push({ x: e.clientX, y: e.clientY, time: e.timeStamp });
+        while (samples.length > 2 && e.timeStamp - samples[0].time > this.velocityWindow) {
+            samples.shift();
+        }
+
+        const x = e.clientX - pointer.x;
+        const y = e.clientY - pointer.y;
+        const distance = Math.hypot(x, y);
+        if (distance < this.minDistance) return;
+
+        // Only the first swipe of a stroke has to be quick - after that the finger steers
+        const [first] = samples;
+        const velocity = Math.hypot(e.clientX - first.x, e.clientY - first.y) / Math.max(1, e.timeStamp - first.time);
+        if (!this.held && velocity < this.minVelocity) return;
+
+        this.pending.push({ x, y });
+        this.held = { x, y };
+        this.heldSince = e.timeStamp;
+        // The next swipe is measured from here
+        Object.assign(pointer, { x: e.clientX, y: e.clientY });
+    }
+
+    /**
+     * The finger lifts, and the held swipe ends with it
+     */
+    handleUp(e) {
+        if (!this.pointer || e.pointerId !== this.pointer.id) return;
+        this.pointer = null;
+        this.held = null;
+    }
+
+    /**
+     * Stop the held swipe repeating (it ran into a wall) - the finger can still steer
+     */
+    stopRepeat() {
+        this.heldSince = Infinity;
+    }
+
+    /**
+     * Swipes since the last poll, and the held one again once the finger has rested
+     * @param {number} now - Time in ms, on the same clock as event timestamps
+     * @param {boolean} ready - Whether the player is free to move again
+     * @returns {{x: number, y: number}[]} Screen vectors
+     */
+    poll(now, ready) {
+        const vectors = this.pending;
+        this.pending = [];
+        if (vectors.length === 0 && this.held && ready && now - this.heldSince >= this.holdDelay) {
+            vectors.push(this.held);
+        }
+        return vectors;
+    }
+}
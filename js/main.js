@@ -5,11 +5,20 @@
  */
 
 import { Maze } from './maze.js';
+import { EndlessMaze } from './endless.js';
 import { Player } from './player.js';
 import { ParticleSystem } from './particles.js';
 import { Renderer } from './renderer.js';
 import { Effects } from './effects.js';
 import { Audio } from './audio.js';
+import { Engine } from './engine.js';
+import { bots } from './bots.js';
+import { Bindings, ACTIONS } from './bindings.js';
+import { GamepadInput, snapDirection } from './gamepad.js';
+import { SwipeInput, TOUCH_MODES } from './gestures.js';
+import { Director, DEFAULT_SETTINGS } from './director.js';
+import { topologies } from './topology.js';
+import { shapes } from './mask.js';
 
 class Game {
     constructor() {
@@ -22,6 +31,9 @@ class Game {
         // HUD elements
         this.hudMoves = document.getElementById('hudMoves');
         this.hudTime = document.getElementById('hudTime');
+        this.hudFloor = document.getElementById('hudFloor');
+        this.hudKeys = document.getElementById('hudKeys');
+        this.hudDistance = document.getElementById('hudDistance');
         this.energyFill = document.getElementById('energyFill');
 
         // Combo UI elements
@@ -29,9 +41,125 @@ class Game {
         this.comboValue = document.getElementById('comboValue');
         this.messagePopup = document.getElementById('messagePopup');
 
+        // Seed from the URL so shared links replay the same maze
+        const params = new URLSearchParams(window.location.search);
+
         // Initialize systems
-        this.maze = new Maze(10, 10);
-        this.player = new Player(0, 0);
+        this.maxFloors = 5;
+        this.maxDoors = 3;
+        this.maxTeleporters = 3;
+        this.maxInputBuffer = 5;
+        // One-way passage counts offered on the start screen
+        this.oneWayChoices = [0, 2, 4, 8];
+        const algorithm = params.get('algorithm');
+        // Built-in silhouette, e.g. ?shape=heart - drawn for square and hex grids
+        const shape = Object.hasOwn(shapes, params.get('shape') ?? '') ? params.get('shape') : null;
+        const topology = Object.hasOwn(topologies, params.get('topology') ?? '') && !(shape && params.get('topology') === 'polar')
+            ? params.get('topology')
+            : 'square';
+        // Terrain presets for the start screen and ?terrain=light
+        this.terrainLevels = {
+            none: { label: 'None', mix: null },
+            light: { label: 'Light', mix: { mud: 0.06, ice: 0.06, drain: 0.04 } },
+            heavy: { label: 'Heavy', mix: { mud: 0.12, ice: 0.12, drain: 0.08 } }
+        };
+        this.terrainLevel = Object.hasOwn(this.terrainLevels, params.get('terrain') ?? '') ? params.get('terrain') : 'none';
+
+        // Adaptive difficulty (on unless ?adaptive=0): the director tunes each fresh
+        // maze from recent runs, but a shared seed or maze is replayed as it was made
+        // Size asked for with ?size - kept for every fixed maze, only adaptive difficulty changes
+        // it, and then starting from it
+        this.requestedSize = params.has('size')
+            ? Math.min(100, Math.max(2, parseInt(params.get('size'), 10) || DEFAULT_SETTINGS.size))
+            : null;
+        this.director = new Director({ defaults: this.requestedSize ? { size: this.requestedSize } : {} });
+        this.adaptive = params.get('adaptive') !== '0';
+        const tuned = this.adaptive && !params.has('seed') && !params.has('maze') && params.get('endless') !== '1'
+            ? this.director.recommend()
+            : null;
+        // Settings the current maze was made with (see Director)
+        this.difficulty = tuned?.settings ?? {
+            ...DEFAULT_SETTINGS,
+            size: this.requestedSize ?? DEFAULT_SETTINGS.size,
+            braid: Math.min(1, Math.max(0, parseFloat(params.get('braid')) || 0))
+        };
+        this.directorReasons = tuned ? this.explainSize(tuned) : [];
+
+        // Toroidal mode, ?wrap=1 - rings have no opposite edges, and shapes have no seams to join
+        const wrap = params.get('wrap') === '1' && topology !== 'polar' && !shape;
+        if (wrap) {
+            this.difficulty.size = this.fitWrapSize(this.difficulty.size, topology);
+        }
+
+        // Endless mode (?endless=1): an unbounded maze streamed in chunks, scored
+        // by the furthest the player gets from the start
+        this.endless = params.get('endless') === '1';
+        if (this.endless) {
+            this.maze = new EndlessMaze({
+                seed: params.get('seed') ?? undefined,
+                algorithm: Maze.supportsAlgorithm(algorithm, 'square') ? algorithm : 'dfs',
+                braid: this.difficulty.braid,
+                terrain: this.terrainLevels[this.terrainLevel].mix
+            });
+        }
+        // The bounded maze to go back to after an endless run
+        this.classicMaze = null;
+
+        // A whole maze can be shared as a compact string (?maze=...), see Maze.toString()
+        this.importedMaze = null;
+        if (params.has('maze') && !this.endless) {
+            try {
+                this.maze = Maze.fromString(params.get('maze'));
+                this.importedMaze = params.get('maze');
+            } catch (e) {
+                this.showMessage(`Could not load the shared maze. ${e.message}`);
+            }
+        }
+
+        this.shape = shape;
+        const seed = params.get('seed') ?? undefined;
+        const options = {
+            seed,
+            algorithm: Maze.supportsAlgorithm(algorithm, topology, Boolean(shape)) ? algorithm : 'dfs',
+            braid: this.difficulty.braid,
+            topology,
+            floors: Math.min(this.maxFloors, Math.max(1, parseInt(params.get('floors'), 10) || 1)),
+            wrap,
+            placement: Object.hasOwn(Maze.placements, params.get('placement') ?? '') ? params.get('placement') : undefined,
+            terrain: this.terrainLevels[this.terrainLevel].mix,
+            doors: Math.min(this.maxDoors, Math.max(0, parseInt(params.get('doors'), 10) || 0)),
+            teleporters: Math.min(this.maxTeleporters, Math.max(0, parseInt(params.get('teleporters'), 10) || 0)),
+            oneWays: Math.min(this.oneWayChoices.at(-1), Math.max(0, parseInt(params.get('oneway'), 10) || 0)),
+            mask: shape ? shapes[shape] : undefined
+        };
+        // Kept for the bounded maze an endless run goes back to
+        this.classicOptions = options;
+        try {
+            this.maze ??= new Maze(this.difficulty.size, this.difficulty.size, options);
+        } catch (e) {
+            // Settings that can't make a maze together fall back to a plain one
+            this.showMessage(`Could not build that maze. ${e.message}`);
+            this.classicOptions = { seed };
+            this.maze = new Maze(this.difficulty.size, this.difficulty.size, this.classicOptions);
+        }
+
+        // Difficulty band (0-100) fresh mazes must fall inside, e.g. ?difficulty=40-70
+        const [minDifficulty, maxDifficulty] = (params.get('difficulty') ?? '').split('-').map(Number);
+        this.difficultyBand = {
+            min: Number.isFinite(minDifficulty) ? minDifficulty : 0,
+            max: Number.isFinite(maxDifficulty) ? maxDifficulty : 100
+        };
+        this.maxGenerationAttempts = 50;
+        // A shared seed or maze is replayed exactly, even if it falls outside the band
+        if (!params.has('seed') && !this.importedMaze && !this.endless && !this.isInDifficultyBand()) {
+            this.regenerateMaze();
+        }
+        this.player = new Player(
+            this.maze.start.x,
+            this.maze.start.y,
+            (x, y) => this.maze.topology.toLayout(x, y),
+            this.maze.start.z
+        );
         this.renderer = new Renderer(this.canvas);
         this.particles = new ParticleSystem(this.canvas);
         this.effects = new Effects();
@@ -42,20 +170,30 @@ class Game {
         this.winProgress = 0;
         this.paletteIndex = 0;
 
-        // Energy system
-        this.energy = 1.0; // 0-1
-        this.maxEnergy = 1.0;
-        this.energyLossPerCollision = 0.03; // Lose ~3% per collision (about 33 hits to game over)
+        // The rules of the run (energy, time, combos, keys, teleporters,
+        // shifting walls) live in the engine; the game shows what it reports.
+        // Shifting mode (?shift=1): a patch of the maze rewires every so often,
+        // with a rumble a couple of seconds before
+        this.engine = new Engine(this.maze, this.player, {
+            // 3 minutes and ~3% per collision unless the director changes them
+            timeLimit: this.difficulty.timeLimit,
+            energyLossPerCollision: this.difficulty.energyLossPerCollision,
+            shifting: params.get('shift') === '1'
+        }, {
+            // Moves pressed while the player is busy are made as soon as it is
+            // free - up to ?buffer=N of them (0 turns buffering off)
+            bufferSize: params.has('buffer')
+                ? Math.min(this.maxInputBuffer, Math.max(0, Math.floor(Number(params.get('buffer'))) || 0))
+                : 2
+        });
+        this.bindEngineEvents();
 
-        // Time system
-        this.timeLimit = 180; // 3 minutes in seconds
-        this.startTime = Date.now();
-        this.elapsedTime = 0;
-        this.remainingTime = this.timeLimit;
+        // Watch a bot play (?bot=wall, tremaux, random or human) - it sends its
+        // moves through the engine's input buffer just as the keyboard does
+        this.botKind = Object.hasOwn(bots, params.get('bot') ?? '') ? params.get('bot') : null;
+        this.bot = this.botKind ? bots[this.botKind].create(this.engine) : null;
 
-        // Combo system
-        this.combo = 0;
-        this.maxCombo = 0;
+        // Combo messages
         this.lastMessageTime = 0;
         this.messages = [
             { threshold: 3, texts: ['Nice!', 'Good!', 'Smooth!'] },
@@ -66,7 +204,14 @@ class Game {
 
         // Input state
         this.inputEnabled = true;
-        this.hasMovedOnce = false;
+        // Keys for each action, remappable from the bindings panel
+        this.bindings = new Bindings();
+        // Action waiting for a key in the bindings panel ({ action, conflict }), or null
+        this.rebinding = null;
+        // Gamepads are polled every frame and send the same actions
+        this.gamepad = new GamepadInput();
+        // Swipes on the canvas, read each frame like the gamepads
+        this.swipe = new SwipeInput(this.canvas);
 
         // Bind methods
         this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -75,6 +220,10 @@ class Game {
 
         // Setup
         this.setupEventListeners();
+        this.updateFloorUI();
+        this.updateKeysUI();
+        this.updateModeUI();
+        this.updateSeedURL();
         this.handleResize();
 
         // Start game loop
@@ -102,9 +251,17 @@ class Game {
             this.restart();
         });
 
-        // Retry button (game over screen)
+        // Retry button (game over screen) - replays the same maze
         document.getElementById('retryBtn').addEventListener('click', () => {
-            this.restart();
+            this.restart(this.maze.seed);
+        });
+
+        // Copy link buttons (win and game over screens)
+        ['winCopyLink', 'goCopyLink'].forEach(id => {
+            const btn = document.getElementById(id);
+            btn.addEventListener('click', () => {
+                this.copyShareLink(btn);
+            });
         });
 
         // Theme toggle button
@@ -117,9 +274,35 @@ class Game {
             }
         });
 
+        // Maze topology and algorithm pickers (start overlay)
+        this.setupModeSelect();
+        this.setupTopologySelect();
+        this.setupAlgorithmSelect();
+        this.setupFloorsSelect();
+        this.setupWrapSelect();
+        this.setupPlacementSelect();
+        this.setupTerrainSelect();
+        this.setupDoorsSelect();
+        this.setupTeleportersSelect();
+        this.setupOneWaySelect();
+        this.setupShiftSelect();
+        this.setupAdaptiveSelect();
+        this.setupBotSelect();
+        this.setupTouchSelect();
+        this.updateDirectorNote();
+        this.updateInputHint();
+
         // Mobile touch controls
         this.setupMobileControls();
 
+        // Pause screen and key bindings panel
+        this.setupPauseScreen();
+        this.setupBindingsPanel();
+
+        // Say when a gamepad comes and goes
+        window.addEventListener('gamepadconnected', () => this.showMessage('Controller connected'));
+        window.addEventListener('gamepaddisconnected', () => this.showMessage('Controller disconnected'));
+
         // Initialize audio on first click/key
         const initAudio = () => {
             this.audio.init();
@@ -130,18 +313,592 @@ class Game {
         document.addEventListener('keydown', initAudio);
     }
 
+    /**
+     * Populate the classic/endless picker and swap mazes on change
+     */
+    setupModeSelect() {
+        const select = document.getElementById('modeSelect');
+        if (!select) return;
+
+        [['classic', 'Classic'], ['endless', 'Endless']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.endless ? 'endless' : 'classic';
+
+        select.addEventListener('change', () => {
+            this.endless = select.value === 'endless';
+            // Carry the settings both kinds of maze share across
+            const { algorithm, braidFactor: braid, terrainMix: terrain } = this.maze;
+            if (this.endless) {
+                this.classicMaze = this.maze;
+                this.maze = new EndlessMaze({
+                    algorithm: Maze.supportsAlgorithm(algorithm, 'square') ? algorithm : 'dfs',
+                    braid,
+                    terrain
+                });
+            } else {
+                this.maze = this.classicMaze ?? this.createClassicMaze();
+                Object.assign(this.maze, {
+                    algorithm: Maze.supportsAlgorithm(algorithm, this.maze.topologyName, Boolean(this.maze.mask))
+                        ? algorithm
+                        : this.maze.algorithm,
+                    braidFactor: braid,
+                    terrainMix: terrain
+                });
+            }
+            this.updateAlgorithmOptions();
+            this.updateWrapOptions();
+            this.updateModeUI();
+            this.updateInputHint();
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * The bounded maze for a game that started endless, made with the settings
+     * asked for at the start and the size the difficulty calls for
+     */
+    createClassicMaze() {
+        const { wrap, topology } = this.classicOptions;
+        const size = wrap ? this.fitWrapSize(this.difficulty.size, topology) : this.difficulty.size;
+        return new Maze(size, size, this.classicOptions);
+    }
+
+    /**
+     * Show the distance score and lock the settings an endless maze doesn't have
+     */
+    updateModeUI() {
+        const endless = Boolean(this.maze.endless);
+        document.querySelectorAll('.distance-item').forEach(el => {
+            el.hidden = !endless;
+        });
+        ['topologySelect', 'floorsSelect', 'wrapSelect', 'placementSelect', 'doorsSelect', 'teleportersSelect', 'oneWaySelect', 'shiftSelect',
+            'adaptiveSelect', 'botSelect'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select && endless) {
+                select.disabled = true;
+            } else if (select && id !== 'wrapSelect') {
+                select.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Populate the topology picker and regenerate the maze on change
+     */
+    setupTopologySelect() {
+        const select = document.getElementById('topologySelect');
+        if (!select) return;
+
+        Object.entries(topologies).forEach(([name, { label }]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            // Shapes are drawn in grid rows and columns, which don't map onto rings
+            option.disabled = Boolean(this.shape) && name === 'polar';
+            select.appendChild(option);
+        });
+        select.value = this.maze.topologyName;
+
+        select.addEventListener('change', () => {
+            this.maze.topologyName = select.value;
+            // Fall back to the default algorithm if the current one can't carve this shape
+            if (!Maze.supportsAlgorithm(this.maze.algorithm, this.maze.topologyName, Boolean(this.maze.mask))) {
+                this.maze.algorithm = 'dfs';
+            }
+            this.updateAlgorithmOptions();
+            this.updateWrapOptions();
+            this.updateInputHint();
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the algorithm picker and regenerate the maze on change
+     */
+    setupAlgorithmSelect() {
+        const select = document.getElementById('algorithmSelect');
+        if (!select) return;
+
+        Object.entries(Maze.algorithms).forEach(([name, { label }]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        this.updateAlgorithmOptions();
+
+        select.addEventListener('change', () => {
+            this.maze.algorithm = select.value;
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Disable algorithms the current topology doesn't support
+     */
+    updateAlgorithmOptions() {
+        const select = document.getElementById('algorithmSelect');
+        if (!select) return;
+
+        for (const option of select.options) {
+            option.disabled = !Maze.supportsAlgorithm(option.value, this.maze.topologyName, Boolean(this.maze.mask));
+        }
+        select.value = this.maze.algorithm;
+    }
+
+    /**
+     * Populate the floor count picker and regenerate the maze on change
+     */
+    setupFloorsSelect() {
+        const select = document.getElementById('floorsSelect');
+        if (!select) return;
+
+        for (let floors = 1; floors <= 3; floors++) {
+            const option = document.createElement('option');
+            option.value = floors;
+            option.textContent = floors;
+            select.appendChild(option);
+        }
+        select.value = this.maze.floors;
+
+        select.addEventListener('change', () => {
+            this.maze.floors = parseInt(select.value, 10);
+            this.updateInputHint();
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the edge picker (solid or wrap-around) and regenerate the maze on change
+     */
+    setupWrapSelect() {
+        const select = document.getElementById('wrapSelect');
+        if (!select) return;
+
+        [['solid', 'Solid'], ['wrap', 'Wrap around']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        this.updateWrapOptions();
+
+        select.addEventListener('change', () => {
+            this.maze.wrap = select.value === 'wrap';
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the start/exit placement picker and regenerate the maze on change
+     */
+    setupPlacementSelect() {
+        const select = document.getElementById('placementSelect');
+        if (!select) return;
+
+        Object.entries(Maze.placements).forEach(([name, { label }]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.maze.placement;
+
+        select.addEventListener('change', () => {
+            this.maze.placement = select.value;
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the terrain picker and regenerate the maze on change
+     */
+    setupTerrainSelect() {
+        const select = document.getElementById('terrainSelect');
+        if (!select) return;
+
+        Object.entries(this.terrainLevels).forEach(([name, { label }]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.terrainLevel;
+
+        select.addEventListener('change', () => {
+            this.terrainLevel = select.value;
+            this.maze.terrainMix = this.terrainLevels[this.terrainLevel].mix;
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the locked door picker and regenerate the maze on change
+     */
+    setupDoorsSelect() {
+        const select = document.getElementById('doorsSelect');
+        if (!select) return;
+
+        for (let doors = 0; doors <= this.maxDoors; doors++) {
+            const option = document.createElement('option');
+            option.value = doors;
+            option.textContent = doors === 0 ? 'None' : doors;
+            select.appendChild(option);
+        }
+        select.value = this.maze.doorCount;
+
+        select.addEventListener('change', () => {
+            this.maze.doorCount = parseInt(select.value, 10);
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the teleporter pair picker and regenerate the maze on change
+     */
+    setupTeleportersSelect() {
+        const select = document.getElementById('teleportersSelect');
+        if (!select) return;
+
+        for (let pairs = 0; pairs <= this.maxTeleporters; pairs++) {
+            const option = document.createElement('option');
+            option.value = pairs;
+            option.textContent = pairs === 0 ? 'None' : pairs;
+            select.appendChild(option);
+        }
+        select.value = this.maze.teleporterCount ?? 0;
+
+        select.addEventListener('change', () => {
+            this.maze.teleporterCount = parseInt(select.value, 10);
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the one-way passage picker and regenerate the maze on change
+     */
+    setupOneWaySelect() {
+        const select = document.getElementById('oneWaySelect');
+        if (!select) return;
+
+        for (const count of this.oneWayChoices) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count === 0 ? 'None' : count;
+            select.appendChild(option);
+        }
+        // A count from the URL that isn't on the list still shows
+        if (!this.oneWayChoices.includes(this.maze.oneWayCount ?? 0)) {
+            const option = document.createElement('option');
+            option.value = this.maze.oneWayCount;
+            option.textContent = this.maze.oneWayCount;
+            select.appendChild(option);
+        }
+        select.value = this.maze.oneWayCount ?? 0;
+
+        select.addEventListener('change', () => {
+            this.maze.oneWayCount = parseInt(select.value, 10);
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the adaptive/fixed difficulty picker and restart on change
+     */
+    setupAdaptiveSelect() {
+        const select = document.getElementById('adaptiveSelect');
+        if (!select) return;
+
+        [['adaptive', 'Adaptive'], ['fixed', 'Fixed']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.adaptive ? 'adaptive' : 'fixed';
+
+        select.addEventListener('change', () => {
+            this.adaptive = select.value === 'adaptive';
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Populate the touch picker (swipes, buttons or both) - it changes input, not the maze,
+     * so the run carries on
+     */
+    setupTouchSelect() {
+        const select = document.getElementById('touchSelect');
+        if (select) {
+            Object.entries(TOUCH_MODES).forEach(([value, { label }]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = this.swipe.mode;
+
+            select.addEventListener('change', () => {
+                this.swipe.setMode(select.value);
+                this.updateTouchUI();
+                select.blur();
+            });
+        }
+        this.updateTouchUI();
+    }
+
+    /**
+     * Show the button pad unless swipes alone are wanted, and say how to move
+     */
+    updateTouchUI() {
+        const { swipe, buttons } = TOUCH_MODES[this.swipe.mode];
+        const pad = document.getElementById('mobileControls');
+        if (pad) {
+            pad.hidden = !buttons;
+        }
+
+        const hint = this.instructions.querySelector('.mobile-hint');
+        if (!hint) return;
+        hint.textContent = swipe && buttons ? 'Swipe or use the controls below to navigate'
+            : swipe ? 'Swipe to navigate, hold after a swipe to keep going'
+                : 'Use the controls below to navigate';
+    }
+
+    /**
+     * Populate the player picker (you or a bot) and restart on change
+     */
+    setupBotSelect() {
+        const select = document.getElementById('botSelect');
+        if (!select) return;
+
+        [['', 'You'], ...Object.entries(bots).map(([name, { label }]) => [name, label])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.botKind ?? '';
+
+        select.addEventListener('change', () => {
+            this.bot?.detach();
+            this.botKind = select.value || null;
+            this.bot = this.botKind ? bots[this.botKind].create(this.engine) : null;
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * Whether a bot has the controls - bots only play bounded mazes
+     */
+    isBotPlaying() {
+        return Boolean(this.bot) && !this.maze.endless;
+    }
+
+    /**
+     * Tune the next run: the director's settings when adaptive, the
+     * defaults otherwise (and always for endless runs, which it doesn't
+     * judge); a shaped maze keeps the size of its shape
+     * The maze is carved afterwards, with the new size and braid
+     */
+    applyDifficulty() {
+        const tuned = this.adaptive && !this.maze.endless ? this.director.recommend() : null;
+        const settings = tuned?.settings ?? {
+            ...DEFAULT_SETTINGS,
+            size: this.requestedSize ?? DEFAULT_SETTINGS.size,
+            braid: this.difficulty.braid
+        };
+        this.difficulty = settings;
+        this.directorReasons = tuned ? this.explainSize(tuned) : [];
+
+        if (!this.maze.endless && !this.maze.mask) {
+            if (this.maze.wrap) {
+                settings.size = this.fitWrapSize(settings.size, this.maze.topologyName);
+            }
+            this.maze.width = settings.size;
+            this.maze.height = settings.size;
+        }
+        this.maze.braidFactor = settings.braid;
+        this.engine.rules.timeLimit = settings.timeLimit;
+        this.engine.rules.energyLossPerCollision = settings.energyLossPerCollision;
+        this.updateDirectorNote();
+    }
+
+    /**
+     * The director's reasons, saying so when its size replaces the one asked for with ?size
+     */
+    explainSize({ settings, reasons }) {
+        const { size } = settings;
+        if (this.requestedSize === null || size === this.requestedSize) return reasons;
+        return [`${size}x${size} rather than ?size=${this.requestedSize}: adaptive difficulty sets the size (choose Fixed to keep yours)`, ...reasons];
+    }
+
+    /**
+     * Explain on the start overlay what the director changed, if anything
+     */
+    updateDirectorNote() {
+        const note = document.getElementById('directorNote');
+        if (!note) return;
+
+        note.textContent = this.directorReasons.join('. ');
+        note.hidden = this.directorReasons.length === 0;
+    }
+
+    /**
+     * Add a finished bounded run to the director's history (not a bot's)
+     * @param {boolean} won
+     * @param {'energy'|'time'|null} [reason] - What ended a lost run
+     */
+    recordRun(won, reason = null) {
+        if (this.maze.endless || !this.engine.started || this.isBotPlaying()) return;
+
+        this.director.record({
+            won,
+            reason,
+            moves: this.player.moveCount,
+            collisions: this.player.collisionCount,
+            optimal: this.maze.getSolutionLength(),
+            time: this.engine.rules.timeLimit - this.engine.remainingTime,
+            settings: this.difficulty
+        });
+    }
+
+    /**
+     * Populate the still/shifting wall picker and restart on change
+     */
+    setupShiftSelect() {
+        const select = document.getElementById('shiftSelect');
+        if (!select) return;
+
+        [['still', 'Still'], ['shifting', 'Shifting']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.engine.rules.shifting ? 'shifting' : 'still';
+
+        select.addEventListener('change', () => {
+            this.engine.rules.shifting = select.value === 'shifting';
+            this.restart();
+            // Hand arrow keys back to the game
+            select.blur();
+        });
+    }
+
+    /**
+     * The nearest size a wrapping maze can be built at: at least 3 across, and
+     * an even number of hex columns so the seam lines up (see applyWrap)
+     */
+    fitWrapSize(size, topologyName) {
+        const fitted = Math.max(3, size);
+        return topologyName === 'hex' && fitted % 2 !== 0 ? fitted + 1 : fitted;
+    }
+
+    /**
+     * Only square and hex grids without a shape can wrap
+     */
+    updateWrapOptions() {
+        const canWrap = !this.maze.endless && this.maze.topologyName !== 'polar' && !this.maze.mask;
+        if (!canWrap) {
+            this.maze.wrap = false;
+        }
+
+        const select = document.getElementById('wrapSelect');
+        if (!select) return;
+        select.disabled = !canWrap;
+        select.value = this.maze.wrap ? 'wrap' : 'solid';
+    }
+
+    /**
+     * Show the movement keys for the current topology
+     */
+    updateInputHint() {
+        const hint = this.instructions.querySelector('.desktop-hint');
+        if (!hint) return;
+
+        // Custom keys are listed as bound; the defaults read better as the grid describes them
+        if (!this.bindings.isDefault()) {
+            hint.textContent = this.getActiveActions()
+                .filter(action => this.getActionDirection(action))
+                .map(action => `${this.describeAction(action)} ${this.describeBoundKeys(action)}`)
+                .join(', ');
+            return;
+        }
+
+        hint.textContent = this.maze.topology.inputHint;
+        if (this.maze.floors > 1) {
+            hint.textContent += this.maze.topology.actions['move-ne'] ? ', Page Up / Down to climb' : ', E / Q to climb up and down';
+        }
+    }
+
+    /**
+     * Show the floor counter and stairwell buttons only for multi-floor mazes
+     */
+    updateFloorUI(floor = this.player.gridZ) {
+        const multiFloor = this.maze.floors > 1;
+        document.querySelectorAll('.floor-item, .floor-controls').forEach(el => {
+            el.hidden = !multiFloor;
+        });
+        if (this.hudFloor) {
+            this.hudFloor.textContent = `${floor + 1}/${this.maze.floors}`;
+        }
+    }
+
+    /**
+     * Show the key counter only for mazes with locked doors
+     */
+    updateKeysUI() {
+        const hasDoors = this.maze.doors.length > 0;
+        document.querySelectorAll('.keys-item').forEach(el => {
+            el.hidden = !hasDoors;
+        });
+        if (this.hudKeys) {
+            this.hudKeys.textContent = `${this.engine.inventory.size}/${this.maze.doors.length}`;
+        }
+    }
+
     /**
      * Setup mobile touch controls
      */
     setupMobileControls() {
         const controls = {
-            btnUp: { direction: 'n', dx: 0, dy: -1 },
-            btnDown: { direction: 's', dx: 0, dy: 1 },
-            btnLeft: { direction: 'w', dx: -1, dy: 0 },
-            btnRight: { direction: 'e', dx: 1, dy: 0 }
+            btnUp: 'move-n',
+            btnDown: 'move-s',
+            btnLeft: 'move-w',
+            btnRight: 'move-e',
+            btnFloorUp: 'climb-up',
+            btnFloorDown: 'climb-down'
         };
 
-        Object.entries(controls).forEach(([id, { direction, dx, dy }]) => {
+        Object.entries(controls).forEach(([id, action]) => {
             const btn = document.getElementById(id);
             if (!btn) return;
 
@@ -149,7 +906,7 @@ class Game {
             btn.addEventListener('touchstart', (e) => {
                 e.preventDefault();
                 btn.classList.add('pressed');
-                this.handleMobileInput(direction, dx, dy);
+                this.handleAction(action);
             });
 
             btn.addEventListener('touchend', (e) => {
@@ -165,7 +922,7 @@ class Game {
             btn.addEventListener('mousedown', (e) => {
                 e.preventDefault();
                 btn.classList.add('pressed');
-                this.handleMobileInput(direction, dx, dy);
+                this.handleAction(action);
             });
 
             btn.addEventListener('mouseup', () => {
@@ -179,96 +936,355 @@ class Game {
     }
 
     /**
-     * Handle mobile touch input
+     * Handle keyboard input
      */
-    handleMobileInput(direction, dx, dy) {
-        if (this.state !== 'playing' || !this.inputEnabled) return;
-        if (!this.player.canAcceptInput()) return;
+    handleKeyDown(e) {
+        // Shortcuts with Ctrl, Cmd or Alt (reload, select all) belong to the browser
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
 
-        // First move - fade instructions and show HUD
-        if (!this.hasMovedOnce) {
-            this.hasMovedOnce = true;
-            this.instructions.classList.add('fade-out');
-            this.hud.classList.add('visible');
-            this.startTime = Date.now();
+        // Keys are bound by where they sit, and labelled with what they type
+        this.bindings.learnLabel(e.code, e.key);
+
+        // The bindings panel takes the next key for the action being rebound
+        if (this.rebinding) {
+            e.preventDefault();
+            this.captureBinding(e.code);
+            return;
         }
 
-        // Check if move is blocked
-        const blocked = this.maze.canMove(this.player.gridX, this.player.gridY, direction);
+        // Leave keys alone while a form control (e.g. the algorithm picker) has focus
+        if (e.target instanceof HTMLSelectElement || e.target instanceof HTMLInputElement) return;
 
-        if (blocked) {
-            this.handleCollision(direction, dx, dy);
-        } else {
-            this.handleMove(dx, dy);
+        // Game keys wait while the bindings panel is open - Esc closes it
+        if (this.bindingsPanel && !this.bindingsPanel.hidden) {
+            if (e.code === 'Escape') {
+                this.closeBindingsPanel();
+            }
+            return;
+        }
+
+        const action = this.bindings.getAction(e.code, this.getActiveActions());
+        if (!action) return;
+
+        // A held key's auto-repeat isn't buffered, or letting go would leave moves queued up
+        if (this.handleAction(action, { buffer: !e.repeat })) {
+            e.preventDefault();
         }
     }
 
     /**
-     * Handle keyboard input
+     * Do what an action asks, from a key or an on-screen button
+     * @param {Object} [options]
+     * @param {boolean} [options.buffer=true] - Queue a move made while the player is busy
+     *        rather than drop it
+     * @returns {boolean} Whether the action means anything here (an unused key
+     *          is left to the browser)
      */
-    handleKeyDown(e) {
+    handleAction(action, { buffer = true } = {}) {
         // Theme switching - works anytime
-        if (e.key === 't' || e.key === 'T') {
+        if (action === 'theme') {
             this.cycleTheme();
-            return;
+            return true;
+        }
+        if (action === 'restart') {
+            this.restart(this.maze.seed);
+            return true;
+        }
+        if (action === 'pause') {
+            this.togglePause();
+            return true;
         }
 
-        if (this.state !== 'playing' || !this.inputEnabled) return;
-        if (!this.player.canAcceptInput()) return;
+        const direction = this.getActionDirection(action);
+        if (!direction) return false;
 
-        let direction = null;
-        let dx = 0, dy = 0;
+        // Moves are the bot's while one is playing
+        if (this.state !== 'playing' || !this.inputEnabled || this.isBotPlaying()) return true;
 
-        switch (e.key) {
-            case 'ArrowUp':
-            case 'w':
-            case 'W':
-                direction = 'n';
-                dy = -1;
-                break;
-            case 'ArrowDown':
-            case 's':
-            case 'S':
-                direction = 's';
-                dy = 1;
-                break;
-            case 'ArrowLeft':
-            case 'a':
-            case 'A':
-                direction = 'w';
-                dx = -1;
-                break;
-            case 'ArrowRight':
-            case 'd':
-            case 'D':
-                direction = 'e';
-                dx = 1;
-                break;
-            default:
-                return;
+        // The engine makes the move, or buffers it while the player is busy
+        this.engine.send(direction, buffer);
+        return true;
+    }
+
+    /**
+     * The maze direction a move or climb action takes here, or null
+     * Moves depend on the topology (up is north on a square grid, outward on a circular one)
+     */
+    getActionDirection(action) {
+        if (action === 'climb-up' || action === 'climb-down') {
+            return this.maze.floors > 1 ? action.slice('climb-'.length) : null;
         }
+        return this.maze.topology.actions[action] ?? null;
+    }
 
-        e.preventDefault();
+    /**
+     * The actions that mean something on this grid, in order of precedence -
+     * moves come first, so hex keeps Q and E for its diagonals rather than climbing
+     */
+    getActiveActions() {
+        return Object.keys(ACTIONS).filter(action => !action.startsWith('move-') || this.maze.topology.actions[action]);
+    }
+
+    /**
+     * An action's name, with the maze direction a move takes on this grid
+     */
+    describeAction(action) {
+        const direction = this.maze.topology.actions[action];
+        return direction ? `${ACTIONS[action]} (${direction})` : ACTIONS[action];
+    }
 
-        // First move - fade instructions and show HUD
-        if (!this.hasMovedOnce) {
-            this.hasMovedOnce = true;
-            this.instructions.classList.add('fade-out');
-            this.hud.classList.add('visible');
-            this.startTime = Date.now(); // Start timer on first move
-            this.audio.startAmbient(); // Start ambient soundtrack
+    /**
+     * The keys that do an action here - a key an earlier action claims doesn't count
+     */
+    describeBoundKeys(action) {
+        const active = this.getActiveActions();
+        const keys = this.bindings.keys[action].filter(key => this.bindings.getAction(key, active) === action);
+        return keys.map(key => this.bindings.describeKey(key)).join(' / ') || 'unbound';
+    }
+
+    /**
+     * The screen vector of the wall each move action heads for from the player's cell,
+     * so a stick or swipe snaps to the walls as they are drawn
+     */
+    getMoveVectors() {
+        const { gridX, gridY } = this.player;
+        const moves = {};
+        for (const [action, direction] of Object.entries(this.maze.topology.actions)) {
+            moves[action] = this.maze.topology.getWallNormal(gridX, gridY, direction);
         }
+        return moves;
+    }
 
-        // Check if move is blocked
-        const blocked = this.maze.canMove(this.player.gridX, this.player.gridY, direction);
+    /**
+     * Send whatever the gamepads are doing as actions - not while the bindings panel is open
+     */
+    pollGamepad(currentTime) {
+        const actions = this.gamepad.poll(currentTime, { moves: this.getMoveVectors(), ready: this.player.canAcceptInput() });
+        if (this.bindingsPanel && !this.bindingsPanel.hidden) return;
 
-        if (blocked) {
-            // Collision!
-            this.handleCollision(direction, dx, dy);
-        } else {
-            // Valid move
-            this.handleMove(dx, dy);
+        actions.forEach(action => this.handleAction(action));
+    }
+
+    /**
+     * Send the swipes made on the canvas as move actions
+     */
+    pollSwipes(currentTime) {
+        const vectors = this.swipe.poll(currentTime, this.player.canAcceptInput());
+        if (vectors.length === 0) return;
+
+        const moves = this.getMoveVectors();
+        vectors.forEach(({ x, y }) => this.handleAction(snapDirection(x, y, moves)));
+    }
+
+    /**
+     * Pause or resume the run
+     */
+    togglePause() {
+        if (this.engine.isPaused()) {
+            this.engine.resume();
+        } else if (this.state === 'playing' && this.engine.started) {
+            this.engine.pause();
+        }
+    }
+
+    /**
+     * Pause screen - a click anywhere but its Keys button resumes
+     */
+    setupPauseScreen() {
+        this.pauseScreen = document.getElementById('pauseScreen');
+        if (!this.pauseScreen) return;
+
+        this.pauseScreen.addEventListener('click', () => this.engine.resume());
+        document.getElementById('pauseKeysBtn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openBindingsPanel();
+        });
+    }
+
+    /**
+     * Key bindings panel, opened from the start overlay or the pause screen
+     */
+    setupBindingsPanel() {
+        this.bindingsPanel = document.getElementById('bindingsPanel');
+        this.bindingsList = document.getElementById('bindingsList');
+        this.bindingsStatus = document.getElementById('bindingsStatus');
+
+        document.getElementById('bindingsBtn')?.addEventListener('click', () => this.openBindingsPanel());
+        document.getElementById('bindingsDone')?.addEventListener('click', () => this.closeBindingsPanel());
+        document.getElementById('bindingsReset')?.addEventListener('click', () => {
+            this.bindings.reset();
+            this.rebinding = null;
+            this.setBindingsStatus('Keys reset to the defaults');
+            this.renderBindings();
+        });
+    }
+
+    /**
+     * Show the bindings panel for this grid
+     */
+    openBindingsPanel() {
+        this.rebinding = null;
+        this.setBindingsStatus('');
+        this.renderBindings();
+        this.bindingsPanel.hidden = false;
+    }
+
+    /**
+     * Close the bindings panel, dropping a half-made binding
+     */
+    closeBindingsPanel() {
+        this.rebinding = null;
+        this.bindingsPanel.hidden = true;
+        this.updateInputHint();
+    }
+
+    /**
+     * List each action on this grid with its keys, each removable, and a button to add one
+     */
+    renderBindings() {
+        if (!this.bindingsList) return;
+        this.bindingsList.replaceChildren();
+
+        const active = this.getActiveActions();
+        active.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const label = document.createElement('span');
+            label.className = 'binding-action';
+            label.textContent = this.describeAction(action);
+            row.appendChild(label);
+
+            const keys = document.createElement('span');
+            keys.className = 'binding-keys';
+            this.bindings.keys[action].forEach(key => {
+                const chip = document.createElement('button');
+                chip.className = 'binding-key';
+                chip.textContent = this.bindings.describeKey(key);
+                // A key an earlier action claims on this grid (Q and E on hex) does nothing here
+                const owner = this.bindings.getAction(key, active);
+                if (owner !== action) {
+                    chip.classList.add('shadowed');
+                    chip.title = `Used for ${ACTIONS[owner]} on this grid`;
+                } else {
+                    chip.title = 'Remove';
+                }
+                chip.addEventListener('click', () => {
+                    this.bindings.unbind(action, key);
+                    this.setBindingsStatus(`${this.bindings.describeKey(key)} removed from ${ACTIONS[action]}`);
+                    this.renderBindings();
+                });
+                keys.appendChild(chip);
+            });
+
+            const add = document.createElement('button');
+            add.className = 'binding-add';
+            const waiting = this.rebinding?.action === action;
+            add.textContent = waiting ? 'Press a key…' : '+';
+            add.classList.toggle('waiting', waiting);
+            add.addEventListener('click', () => {
+                this.rebinding = { action, conflict: null };
+                this.setBindingsStatus(`Press a key for ${ACTIONS[action]} (Esc to cancel)`);
+                this.renderBindings();
+            });
+            keys.appendChild(add);
+
+            row.appendChild(keys);
+            this.bindingsList.appendChild(row);
+        });
+    }
+
+    /**
+     * Bind the key pressed in the bindings panel - a key another action on this
+     * grid uses has to be pressed twice, so it isn't taken by accident
+     */
+    captureBinding(code) {
+        const { action, conflict } = this.rebinding;
+
+        // Modifiers alone, and keys the browser can't place, can't be bound
+        if (!code || code === 'Unidentified' || /^(Shift|Control|Alt|Meta|OS)(Left|Right)$/.test(code)) return;
+
+        if (code === 'Escape') {
+            this.rebinding = null;
+            this.setBindingsStatus('');
+            this.renderBindings();
+            return;
+        }
+
+        const active = this.getActiveActions();
+        const other = this.bindings.findConflict(action, code, active);
+        const name = this.bindings.describeKey(code);
+        if (other && conflict !== code) {
+            this.rebinding.conflict = code;
+            this.setBindingsStatus(`${name} is already bound to ${ACTIONS[other]} - press it again to move it here`, true);
+            return;
         }
+
+        this.bindings.bind(action, code, active);
+        this.rebinding = null;
+        this.setBindingsStatus(other
+            ? `${name} moved from ${ACTIONS[other]} to ${ACTIONS[action]}`
+            : `${name} bound to ${ACTIONS[action]}`);
+        this.renderBindings();
+    }
+
+    /**
+     * Say what the bindings panel just did, or is waiting for
+     */
+    setBindingsStatus(text, isWarning = false) {
+        if (!this.bindingsStatus) return;
+        this.bindingsStatus.textContent = text;
+        this.bindingsStatus.classList.toggle('warning', isWarning);
+    }
+
+    /**
+     * Show what the engine reports
+     */
+    bindEngineEvents() {
+        this.engine.on('start', () => this.handleStart());
+        this.engine.on('move', detail => this.handleMove(detail));
+        this.engine.on('combo', () => this.updateComboUI());
+        this.engine.on('energy', () => this.updateEnergyBar());
+        this.engine.on('key', () => this.handleKey());
+        this.engine.on('distance', ({ distance }) => {
+            if (this.hudDistance) {
+                this.hudDistance.textContent = distance;
+            }
+        });
+        this.engine.on('warp', detail => this.handleWarp(detail));
+        this.engine.on('collision', detail => this.handleCollision(detail));
+        this.engine.on('locked', detail => this.handleLockedDoor(detail));
+        this.engine.on('oneway', detail => this.handleOneWay(detail));
+        this.engine.on('shift-warning', ({ seconds }) => {
+            this.audio.playRumble(seconds);
+            this.effects.triggerRumble(seconds * 1000);
+        });
+        this.engine.on('shift', ({ changed }) => {
+            this.renderer.dissolveWallMemory(changed);
+            this.showMessage('The maze shifts');
+        });
+        this.engine.on('pause', () => {
+            this.audio.stopAmbient();
+            if (this.pauseScreen) this.pauseScreen.hidden = false;
+        });
+        this.engine.on('resume', () => {
+            this.audio.startAmbient();
+            if (this.pauseScreen) this.pauseScreen.hidden = true;
+        });
+        this.engine.on('reset', () => {
+            if (this.pauseScreen) this.pauseScreen.hidden = true;
+        });
+        this.engine.on('win', () => this.triggerWin());
+        this.engine.on('gameover', ({ reason }) => this.triggerGameOver(reason));
+    }
+
+    /**
+     * First move - fade instructions and show HUD
+     */
+    handleStart() {
+        this.instructions.classList.add('fade-out');
+        this.hud.classList.add('visible');
+        this.audio.startAmbient(); // Start ambient soundtrack
     }
 
     /**
@@ -295,91 +1311,132 @@ class Game {
     /**
      * Handle valid movement
      */
-    handleMove(dx, dy) {
-        const newX = this.player.gridX + dx;
-        const newY = this.player.gridY + dy;
-
-        // Update player movement
-        this.player.moveFrom = { x: this.player.gridX, y: this.player.gridY };
-        this.player.moveTo = { x: newX, y: newY };
-        this.player.isMoving = true;
-        this.player.moveStartTime = performance.now();
-        this.player.addGhost();
-        this.player.moveCount++;
-
-        // Increment combo
-        this.combo++;
-        if (this.combo > this.maxCombo) this.maxCombo = this.combo;
-        this.updateComboUI();
+    handleMove({ direction, from, to, terrain }) {
+        // Taking a stairwell - the renderer swaps floors halfway through the transition
+        if (to.z !== from.z) {
+            this.renderer.startFloorTransition(direction, this.player.moveDuration * 2);
+            this.updateFloorUI(to.z);
+        }
 
         // Play move sound
-        this.audio.playMove();
+        this.audio.playMove(terrain);
+    }
 
-        // Check for win
-        if (this.maze.isGoal(newX, newY)) {
-            this.triggerWin();
+    /**
+     * Pick up a key
+     */
+    handleKey() {
+        this.updateKeysUI();
+        this.audio.playKey();
+        this.showMessage('Key found');
+    }
+
+    /**
+     * Show the player carried from one teleporter to its partner, and
+     * remember both ends from now on
+     */
+    handleWarp({ from, to }) {
+        if (to.z !== from.z) {
+            this.updateFloorUI(to.z);
         }
+        this.renderer.addTeleporterMemory(from.x, from.y, from.z);
+        this.renderer.addTeleporterMemory(to.x, to.y, to.z);
+
+        this.effects.triggerWarp(this.renderer.gridToScreen(from.x, from.y), this.renderer.gridToScreen(to.x, to.y));
+        this.audio.playWarp();
     }
 
     /**
      * Handle wall collision
      */
-    handleCollision(direction, dx, dy) {
-        // Bounce player
-        this.player.bounce({ x: dx, y: dy });
-        this.player.collisionCount++;
-
-        // Reset combo
-        this.combo = 0;
-        this.updateComboUI();
+    handleCollision({ direction, walls }) {
+        const { gridX, gridY, gridZ } = this.player;
 
-        // Add wall memory
-        this.renderer.addWallMemory(this.player.gridX, this.player.gridY, direction);
+        // Add wall memory for every wall the move was blocked by
+        walls.forEach(wall => {
+            this.renderer.addWallMemory(gridX, gridY, wall, gridZ);
+        });
 
-        // Lose energy
-        this.energy = Math.max(0, this.energy - this.energyLossPerCollision);
+        // A pad that can rumble feels the wall, and a held direction stops at it
+        this.gamepad.rumble(0.6, 120);
+        this.gamepad.stopRepeat();
+        this.swipe.stopRepeat();
 
-        // Update energy bar visual
-        this.updateEnergyBar();
-
-        // Check for game over
-        if (this.energy <= 0) {
-            this.triggerGameOver('energy');
-            return;
-        }
+        // The last of the energy went into this wall
+        if (this.engine.state !== 'playing') return;
 
         // Play collision sound
         this.audio.playCollision();
 
-        // Get wall position for visual effect
-        const wallPos = this.renderer.getWallPosition(
-            this.player.gridX + dx,
-            this.player.gridY + dy,
-            direction
-        );
+        // Floors and ceilings have no on-screen wall
+        const isVertical = direction === 'up' || direction === 'down';
+        const wallPos = isVertical ? null : this.renderer.getWallPosition(gridX, gridY, direction);
 
         // Trigger visual effects
-        this.effects.triggerCollision(
-            wallPos.x,
-            wallPos.y,
-            wallPos.width,
-            wallPos.height,
-            direction
-        );
+        this.effects.triggerCollision(wallPos);
+    }
+
+    /**
+     * Handle bumping into a locked door - it costs no energy and doesn't
+     * break the combo, but the door is remembered in gold
+     */
+    handleLockedDoor({ walls }) {
+        // A held direction stops at it, like at a wall
+        this.gamepad.stopRepeat();
+        this.swipe.stopRepeat();
+        const { gridX, gridY, gridZ } = this.player;
+
+        walls.forEach(wall => {
+            this.renderer.addWallMemory(gridX, gridY, wall, gridZ, 'door');
+        });
+
+        this.audio.playLocked();
+        this.effects.triggerLocked(this.renderer.getWallPosition(gridX, gridY, walls[0]));
+        this.showHint('Locked');
+    }
+
+    /**
+     * Handle walking into the closed end of a one-way passage - like a locked
+     * door it costs nothing, but it sounds and looks different from a wall
+     */
+    handleOneWay({ walls }) {
+        // A held direction stops at it, like at a wall
+        this.gamepad.stopRepeat();
+        this.swipe.stopRepeat();
+        const { gridX, gridY, gridZ } = this.player;
+
+        walls.forEach(wall => {
+            this.renderer.addWallMemory(gridX, gridY, wall, gridZ, 'oneway');
+        });
+
+        this.audio.playOneWay();
+        this.effects.triggerOneWay(this.renderer.getWallPosition(gridX, gridY, walls[0]));
+        this.showHint('One way');
+    }
+
+    /**
+     * Show a hint, but not on every bump
+     */
+    showHint(text) {
+        const now = Date.now();
+        if (now - this.lastMessageTime >= 2000) {
+            this.showMessage(text);
+            this.lastMessageTime = now;
+        }
     }
 
     /**
      * Update energy bar visual
      */
     updateEnergyBar() {
-        const percentage = this.energy * 100;
-        this.energyFill.style.width = `${percentage}%`;
+        const { energy } = this.engine;
+        this.energyFill.style.width = `${energy * 100}%`;
 
         // Update color class based on energy level
         this.energyFill.classList.remove('medium', 'low');
-        if (this.energy < 0.3) {
+        if (energy < 0.3) {
             this.energyFill.classList.add('low');
-        } else if (this.energy < 0.6) {
+        } else if (energy < 0.6) {
             this.energyFill.classList.add('medium');
         }
     }
@@ -392,21 +1449,14 @@ class Game {
         this.hudMoves.textContent = this.player.moveCount;
 
         // Update time
-        if (this.hasMovedOnce) {
-            this.elapsedTime = (Date.now() - this.startTime) / 1000;
-            this.remainingTime = Math.max(0, this.timeLimit - this.elapsedTime);
-
-            const minutes = Math.floor(this.remainingTime / 60);
-            const seconds = Math.floor(this.remainingTime % 60);
+        if (this.engine.started) {
+            const { remainingTime, rules } = this.engine;
+            const minutes = Math.floor(remainingTime / 60);
+            const seconds = Math.floor(remainingTime % 60);
             this.hudTime.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
 
-            // Check for time-based game over
-            if (this.remainingTime <= 0 && this.state === 'playing') {
-                this.triggerGameOver('time');
-            }
-
             // Update ambient audio intensity based on remaining time
-            const remainingRatio = this.remainingTime / this.timeLimit;
+            const remainingRatio = remainingTime / rules.timeLimit;
             this.audio.updateIntensity(remainingRatio);
 
             // Update HUD urgency state
@@ -420,9 +1470,9 @@ class Game {
     updateHUDUrgency() {
         this.hud.classList.remove('urgency-low', 'urgency-medium', 'urgency-high');
 
-        if (this.remainingTime > 120) {
+        if (this.engine.remainingTime > 120) {
             this.hud.classList.add('urgency-low');
-        } else if (this.remainingTime > 60) {
+        } else if (this.engine.remainingTime > 60) {
             this.hud.classList.add('urgency-medium');
         } else {
             this.hud.classList.add('urgency-high');
@@ -435,9 +1485,9 @@ class Game {
     updateComboUI() {
         if (!this.comboCounter || !this.comboValue) return;
 
-        if (this.combo >= 3) {
+        if (this.engine.combo >= 3) {
             this.comboCounter.classList.add('visible');
-            this.comboValue.textContent = this.combo;
+            this.comboValue.textContent = this.engine.combo;
 
             // Add pulse animation
             this.comboCounter.classList.remove('pulse');
@@ -462,7 +1512,7 @@ class Game {
         // Find highest threshold we've hit
         let message = null;
         for (let i = this.messages.length - 1; i >= 0; i--) {
-            if (this.combo === this.messages[i].threshold) {
+            if (this.engine.combo === this.messages[i].threshold) {
                 const texts = this.messages[i].texts;
                 message = texts[Math.floor(Math.random() * texts.length)];
                 break;
@@ -497,12 +1547,15 @@ class Game {
      */
     triggerGameOver(reason) {
         this.state = 'gameover';
+        this.recordRun(false, reason);
 
         // Stop ambient music
         this.audio.stopAmbient();
 
         // Update game over screen
         document.getElementById('goMoves').textContent = this.player.moveCount;
+        document.getElementById('goDistance').textContent = this.engine.distance;
+        document.getElementById('goSeed').textContent = this.maze.seed;
 
         const reasonText = document.getElementById('gameOverReason');
         if (reason === 'energy') {
@@ -525,6 +1578,7 @@ class Game {
      */
     triggerWin() {
         this.state = 'winning';
+        this.recordRun(true);
 
         // Play win sound
         this.audio.playWin();
@@ -544,14 +1598,16 @@ class Game {
         this.state = 'won';
 
         // Calculate actual time taken
-        const timeTaken = this.timeLimit - this.remainingTime;
+        const timeTaken = this.engine.rules.timeLimit - this.engine.remainingTime;
         const minutes = Math.floor(timeTaken / 60);
         const seconds = Math.floor(timeTaken % 60);
 
         // Update stats
         document.getElementById('statMoves').textContent = this.player.moveCount;
+        document.getElementById('statOptimal').textContent = this.maze.getSolutionLength();
         document.getElementById('statCollisions').textContent = this.player.collisionCount;
         document.getElementById('statTime').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        document.getElementById('winSeed').textContent = this.maze.seed;
 
         // Show win screen
         this.winScreen.classList.remove('hidden');
@@ -562,24 +1618,191 @@ class Game {
         this.hud.classList.add('hidden');
     }
 
+    /**
+     * Build a link that replays the current maze
+     */
+    getShareLink() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.maze.seed);
+        url.searchParams.set('algorithm', this.maze.algorithm);
+        url.searchParams.set('topology', this.maze.topologyName);
+        if (this.maze.endless) {
+            url.searchParams.set('endless', '1');
+        } else {
+            url.searchParams.delete('endless');
+        }
+        if (this.shape && this.maze.mask) {
+            url.searchParams.set('shape', this.shape);
+        } else {
+            url.searchParams.delete('shape');
+        }
+        if (!this.maze.endless && !this.maze.mask && this.maze.width !== DEFAULT_SETTINGS.size) {
+            url.searchParams.set('size', this.maze.width);
+        } else {
+            url.searchParams.delete('size');
+        }
+        if (this.maze.floors > 1) {
+            url.searchParams.set('floors', this.maze.floors);
+        } else {
+            url.searchParams.delete('floors');
+        }
+        if (this.maze.placement !== 'corners') {
+            url.searchParams.set('placement', this.maze.placement);
+        } else {
+            url.searchParams.delete('placement');
+        }
+        if (this.terrainLevel !== 'none') {
+            url.searchParams.set('terrain', this.terrainLevel);
+        } else {
+            url.searchParams.delete('terrain');
+        }
+        if (this.engine.rules.shifting) {
+            url.searchParams.set('shift', '1');
+        } else {
+            url.searchParams.delete('shift');
+        }
+        if (this.maze.doorCount > 0) {
+            url.searchParams.set('doors', this.maze.doorCount);
+        } else {
+            url.searchParams.delete('doors');
+        }
+        if (this.maze.teleporterCount > 0) {
+            url.searchParams.set('teleporters', this.maze.teleporterCount);
+        } else {
+            url.searchParams.delete('teleporters');
+        }
+        if (this.maze.oneWayCount > 0) {
+            url.searchParams.set('oneway', this.maze.oneWayCount);
+        } else {
+            url.searchParams.delete('oneway');
+        }
+        if (this.botKind) {
+            url.searchParams.set('bot', this.botKind);
+        } else {
+            url.searchParams.delete('bot');
+        }
+        if (this.maze.wrap) {
+            url.searchParams.set('wrap', '1');
+        } else {
+            url.searchParams.delete('wrap');
+        }
+        if (this.maze.braidFactor > 0) {
+            url.searchParams.set('braid', this.maze.braidFactor);
+        } else {
+            url.searchParams.delete('braid');
+        }
+        if (this.importedMaze) {
+            url.searchParams.set('maze', this.importedMaze);
+        } else {
+            url.searchParams.delete('maze');
+        }
+        return url.toString();
+    }
+
+    /**
+     * Keep the address bar in sync with the current maze seed
+     */
+    updateSeedURL() {
+        window.history.replaceState(null, '', this.getShareLink());
+    }
+
+    /**
+     * Copy the share link to the clipboard
+     */
+    async copyShareLink(btn) {
+        const link = this.getShareLink();
+
+        try {
+            await navigator.clipboard.writeText(link);
+            // Message popup sits beneath the end screens, so confirm on the button
+            btn.textContent = 'Copied';
+            setTimeout(() => {
+                btn.textContent = 'Copy link';
+            }, 1500);
+        } catch (e) {
+            // Clipboard access can be denied (e.g. insecure context)
+            window.prompt('Copy this link:', link);
+        }
+    }
+
     /**
      * Handle window resize
      */
     handleResize() {
         this.renderer.resize();
-        this.renderer.calculateLayout(this.maze.width, this.maze.height);
+        this.updateLayout();
         this.particles.resize();
     }
 
+    /**
+     * Fit the maze on screen, or follow the player around an endless one
+     */
+    updateLayout() {
+        if (this.maze.endless) {
+            this.renderer.followCamera(this.maze.topology, { x: this.player.renderX, y: this.player.renderY });
+        } else {
+            this.renderer.calculateLayout(this.maze.topology);
+        }
+    }
+
+    /**
+     * Check the current maze against the target difficulty band
+     */
+    isInDifficultyBand() {
+        const difficulty = this.maze.getDifficulty();
+        return difficulty >= this.difficultyBand.min && difficulty <= this.difficultyBand.max;
+    }
+
+    /**
+     * Regenerate the maze, rejecting fresh mazes outside the difficulty band
+     * @param {string} [seed] - Replay a specific maze instead of a fresh one
+     */
+    regenerateMaze(seed) {
+        // Endless mazes have no difficulty to measure
+        if (this.maze.endless) {
+            this.maze.regenerate(seed);
+            return;
+        }
+
+        if (seed !== undefined) {
+            // An imported maze may not match what its seed generates, so reload it as is
+            if (this.importedMaze && seed === this.maze.seed) {
+                this.maze = Maze.fromString(this.importedMaze);
+            } else {
+                this.importedMaze = null;
+                this.maze.regenerate(seed);
+            }
+            return;
+        }
+
+        this.importedMaze = null;
+
+        // Give up after a while so an impossible band can't hang the game
+        for (let attempt = 0; attempt < this.maxGenerationAttempts; attempt++) {
+            this.maze.regenerate();
+            if (this.isInDifficultyBand()) return;
+        }
+    }
+
     /**
      * Restart the game
+     * @param {string} [seed] - Replay a specific maze instead of a fresh one
      */
-    restart() {
+    restart(seed) {
+        // A replayed maze keeps its settings; a fresh one is tuned first
+        if (seed === undefined) {
+            this.applyDifficulty();
+        }
+
         // Generate new maze
-        this.maze.regenerate();
+        this.regenerateMaze(seed);
+        this.updateSeedURL();
 
-        // Reset player
-        this.player.reset(0, 0);
+        // Start the run over on the new maze (the topology may have changed, so lay out again)
+        this.engine.reset(this.maze);
+        this.updateLayout();
+        this.updateFloorUI();
+        this.updateKeysUI();
 
         // Reset effects
         this.effects.reset();
@@ -590,25 +1813,19 @@ class Game {
         // Reset game state
         this.state = 'playing';
         this.winProgress = 0;
-        this.hasMovedOnce = false;
 
-        // Reset energy
-        this.energy = 1.0;
+        // Reset energy, time and combo displays
+        const { timeLimit } = this.engine.rules;
         this.updateEnergyBar();
-
-        // Reset time
-        this.startTime = Date.now();
-        this.elapsedTime = 0;
-        this.remainingTime = this.timeLimit;
-        this.hudTime.textContent = '3:00';
-
-        // Reset combo
-        this.combo = 0;
-        this.maxCombo = 0;
+        this.hudTime.textContent = `${Math.floor(timeLimit / 60)}:${(timeLimit % 60).toString().padStart(2, '0')}`;
         this.updateComboUI();
+        if (this.hudDistance) {
+            this.hudDistance.textContent = '0';
+        }
 
         // Clear wall memory
         this.renderer.clearWallMemory();
+        this.renderer.floorTransition = null;
 
         // Hide screens
         this.winScreen.classList.remove('visible');
@@ -643,35 +1860,47 @@ class Game {
      * Main game loop
      */
     gameLoop(currentTime) {
-        // Update systems
-        this.player.update(currentTime);
+        // Gamepad and swipe input, read before the run advances like a key pressed since the last frame
+        this.pollGamepad(currentTime);
+        this.pollSwipes(currentTime);
+
+        // Advance the run: moves, ice, teleporters, the clock and shifting walls
+        this.engine.update(currentTime);
+
+        // A watched bot moves whenever the player is free
+        if (this.isBotPlaying() && this.state === 'playing' && this.inputEnabled) {
+            this.bot.act();
+        }
 
         // Update HUD
         if (this.state === 'playing') {
             this.updateHUD();
         }
 
+        // Keep an endless maze's camera on the player
+        this.renderer.updateCamera(this.player.renderX, this.player.renderY);
+
         // Get player screen position
-        const playerPos = this.renderer.gridToScreen(
+        const playerPos = this.renderer.layoutToScreen(
             this.player.renderX,
             this.player.renderY
         );
 
-        // Goal position for particle convergence
-        const goalPos = this.renderer.gridToScreen(
-            this.maze.goal.x,
-            this.maze.goal.y
-        );
+        // Goal position for particle convergence (an endless maze has none)
+        const goalPos = this.maze.goal
+            ? this.renderer.gridToScreen(this.maze.goal.x, this.maze.goal.y)
+            : playerPos;
 
         // Update time-based rendering
-        this.renderer.updateTimePhase(this.elapsedTime, this.timeLimit);
+        this.renderer.updateTimePhase(this.engine.elapsedTime, this.engine.rules.timeLimit);
 
         // Get wall proximity for particle effects
-        const wallProximity = this.maze.getAdjacentWallCount(this.player.gridX, this.player.gridY);
+        const wallProximity = this.maze.getWallProximity(this.player.gridX, this.player.gridY, this.player.gridZ);
+        const terrain = this.maze.getTerrain(this.player.gridX, this.player.gridY, this.player.gridZ);
 
         // Update particles
         const isConverging = this.state === 'winning' || this.state === 'won';
-        this.particles.update(currentTime, playerPos.x, playerPos.y, isConverging, goalPos.x, goalPos.y, wallProximity);
+        this.particles.update(currentTime, playerPos.x, playerPos.y, isConverging, goalPos.x, goalPos.y, wallProximity, terrain);
 
         // Update effects
         this.effects.update();
@@ -704,19 +1933,44 @@ class Game {
         // Starfield
         this.renderer.renderStarfield(currentTime);
 
+        // Only the floor the player is on is drawn
+        const floor = this.player.gridZ;
+
         // Wall memory hints
-        this.renderer.renderWallMemory();
+        this.renderer.renderWallMemory(floor);
+
+        // Teleporters found so far
+        this.renderer.renderTeleporterMemory(floor);
 
         // Start point marker (only if not at start and game is playing)
-        if (this.state === 'playing' || this.state === 'winning') {
+        if ((this.state === 'playing' || this.state === 'winning') && floor === this.maze.start.z) {
             this.renderer.renderStartPoint(this.maze.start.x, this.maze.start.y);
         }
 
-        // End point marker (always visible as beckoning target)
-        if (this.state === 'playing') {
+        // End point marker (always visible as beckoning target on its floor)
+        if (this.state === 'playing' && this.maze.goal && floor === this.maze.goal.z) {
             this.renderer.renderEndPoint(this.maze.goal.x, this.maze.goal.y);
         }
 
+        // Keys still lying on this floor
+        if (this.state === 'playing') {
+            this.maze.keys.forEach((id, door) => {
+                const key = this.maze.getKeyPosition(door);
+                if (!this.engine.inventory.has(door) && key.z === floor) {
+                    this.renderer.renderKey(key.x, key.y);
+                }
+            });
+        }
+
+        // Stairwell under a resting player
+        if (this.state === 'playing' && this.player.canAcceptInput()) {
+            ['up', 'down'].forEach(direction => {
+                if (this.maze.hasStairwell(this.player.gridX, this.player.gridY, floor, direction)) {
+                    this.renderer.renderStairwell(this.player.gridX, this.player.gridY, direction);
+                }
+            });
+        }
+
         // Particles
         this.particles.render(this.renderer.ctx);
 
@@ -731,14 +1985,25 @@ class Game {
             this.renderer.renderGoal(this.maze.goal.x, this.maze.goal.y, this.winProgress);
         }
 
+        // Echo of the player leaving through the edge of a wrapping maze
+        const echo = this.player.wrapEcho;
+        if (echo) {
+            this.renderer.renderPlayer(echo.x, echo.y, this.player.glowIntensity, this.engine.energy,
+                this.player.rotationAngle, echo.opacity);
+        }
+
         // Player (with energy affecting appearance)
         this.renderer.renderPlayer(
             this.player.renderX,
             this.player.renderY,
             this.player.glowIntensity,
-            this.energy,
-            this.player.rotationAngle // Pass rotation for characters
+            this.engine.energy,
+            this.player.rotationAngle, // Pass rotation for characters
+            this.player.opacity
         );
+
+        // Descent / ascent veil over everything
+        this.renderer.renderFloorTransition(playerScreenX, playerScreenY);
     }
 }
 
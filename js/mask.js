@@ -0,0 +1,116 @@
+/**
+ * Maze Masks — Invisible Maze
+ * Silhouettes that shape a maze: a boolean grid where true marks a cell
+ * that is part of the maze. Masks come from ASCII art or from a
+ * black-and-white image, and are indexed mask[y][x] like the maze grid
+ */
+
+/**
+ * Built-in ASCII shapes (any character but space or '.' is a cell)
+ */
+export const shapes = {
+    heart: `
+ ###   ###
+#####.#####
+###########
+###########
+ #########
+  #######
+   #####
+    ###
+     #
+`,
+    diamond: `
+    ##
+   ####
+  ######
+ ########
+##########
+##########
+ ########
+  ######
+   ####
+    ##
+`,
+    ring: `
+   ######
+  ########
+ ###....###
+###......###
+###......###
+###......###
+###......###
+ ###....###
+  ########
+   ######
+`
+};
+
+/**
+ * Parse ASCII art into a mask - spaces and '.' are outside the maze
+ * Blank lines around the art are ignored and short rows are padded
+ */
+export function parseMask(ascii) {
+    const lines = ascii.split('\n').map(line => line.replace(/\r$/, ''));
+    while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+    const width = Math.max(0, ...lines.map(line => line.length));
+    return lines.map(line =>
+        Array.from({ length: width }, (_, x) => x < line.length && line[x] !== ' ' && line[x] !== '.')
+    );
+}
+
+/**
+ * Build a mask from decoded pixels - dark pixels are inside the maze
+ * @param {ImageData} imageData - RGBA pixels, one per cell
+ * @param {number} [threshold=128] - Brightness (0-255) below which a pixel counts as dark
+ */
+export function maskFromImageData({ data, width, height }, threshold = 128) {
+    const mask = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
+            // Transparent pixels are background
+            row.push(data[i + 3] >= 128 && brightness < threshold);
+        }
+        mask.push(row);
+    }
+    return mask;
+}
+
+/**
+ * Load an image and sample it down to a mask of columns x rows cells
+ * @returns {Promise<boolean[][]>}
+ */
+export function loadImageMask(src, columns, rows, threshold = 128) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = columns;
+            canvas.height = rows;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0, columns, rows);
+            resolve(maskFromImageData(ctx.getImageData(0, 0, columns, rows), threshold));
+        };
+        image.onerror = () => reject(new Error(`Could not load mask image: ${src}`));
+        image.src = src;
+    });
+}
+
+/**
+ * Accept ASCII art or a boolean grid and return a rectangular boolean grid
+ */
+export function normalizeMask(mask) {
+    const grid = typeof mask === 'string' ? parseMask(mask) : mask;
+    if (!Array.isArray(grid) || !grid.every(Array.isArray)) {
+        throw new Error('Maze mask must be ASCII art or a grid of booleans');
+    }
+
+    const width = Math.max(0, ...grid.map(row => row.length));
+    return grid.map(row => Array.from({ length: width }, (_, x) => Boolean(row[x])));
+}
@@ -1,178 +1,1814 @@
 /**
  * Maze Generator — Invisible Maze
- * Uses Depth-First Search (DFS) with recursive backtracking
- * to create a perfect maze (exactly one path between any two cells)
+ * Creates a perfect maze (exactly one path between any two cells) using
+ * a pluggable generation algorithm, recursive backtracking by default
+ * Every random choice comes from a seeded PRNG so mazes can be replayed
+ * Multi-floor mazes stack one such maze per floor, joined by stairwells
+ * Walls are stored compactly, one byte of bit flags per cell, so generators
+ * and analysis work on integer cell ids; getCell() wraps an id in a view
  */
 
+import { Random } from './random.js';
+import { createTopology, topologies, applyMask, applyWrap } from './topology.js';
+import { FORMAT_VERSION, encodeMaze, decodeMaze } from './format.js';
+import { normalizeMask } from './mask.js';
+import * as generators from './generators.js';
+
+// Walls between floors, present on every cell of a multi-floor maze
+const VERTICAL_DIRECTIONS = ['up', 'down'];
+
+// Wall bits: bit i stands for the wall through topology.directionsAt(x, y)[i]
+// (six at most, for hex cells and the polar centre), and the top two bits
+// for the floor and ceiling
+const UP_BIT = 1 << 6;
+const DOWN_BIT = 1 << 7;
+
+// Terrain types by stored code, and the character each is saved as
+export const TERRAINS = ['floor', 'mud', 'ice', 'drain'];
+const TERRAIN_CHARS = '.mid';
+
+// Cells in one terrain zone
+const TERRAIN_ZONE_SIZE = { min: 2, max: 5 };
+
+// Code of the terrain that slides the player on (see getSlides)
+const ICE = TERRAINS.indexOf('ice');
+
+// Cells searched for a way across the ice before it counts as cut off (see isIceReversible)
+const ICE_SEARCH_CELLS = 100;
+
 export class Maze {
-    constructor(width = 20, height = 20) {
-        this.width = width;
-        this.height = height;
-        this.grid = [];
-        this.start = { x: 0, y: 0 };
-        this.goal = { x: width - 1, y: height - 1 };
-        this.generate();
+    /**
+     * @param {Object} [options]
+     * @param {string|number} [options.seed] - Seed for reproducible generation
+     * @param {string} [options.algorithm='dfs'] - Key in Maze.algorithms
+     * @param {number} [options.braid=0] - Fraction of dead ends (0-1) to knock through
+     * @param {string} [options.topology='square'] - Cell lattice: 'square', 'hex' or 'polar'
+     *        (polar mazes have `height` rings around a centre cell)
+     * @param {number} [options.floors=1] - Floors stacked on top of each other
+     * @param {string|boolean[][]} [options.mask] - Shape of the maze, as ASCII art or mask[y][x]
+     *        booleans (see mask.js); it sets the width and height, and start and goal are
+     *        placed far apart inside it
+     * @param {boolean} [options.wrap=false] - Join opposite edges into a torus (square and hex)
+     * @param {string} [options.placement='corners'] - Key in Maze.placements, how start and goal are chosen
+     * @param {Object} [options.terrain] - Fraction (0-1) of cells to cover with each terrain,
+     *        e.g. { mud: 0.1, ice: 0.05, drain: 0.05 }, laid in small zones once the maze is carved
+     * @param {number} [options.doors=0] - Locked doors across the solution path, each with a key
+     *        placed so it can be fetched before its door is reached
+     * @param {number} [options.teleporters=0] - Pairs of linked cells; stepping into one lands
+     *        the player on the other
+     * @param {number} [options.oneWays=0] - Passages that can only be taken in one direction,
+     *        placed so the goal stays reachable from everywhere the player can get to
+     * @param {boolean} [options.generate=true] - Carve on construction (loaders fill in walls themselves)
+     */
+    constructor(width = 20, height = 20, options = {}) {
+        this.mask = options.mask ? normalizeMask(options.mask) : null;
+        this.width = this.mask ? this.mask[0]?.length ?? 0 : width;
+        this.height = this.mask ? this.mask.length : height;
+        this.floors = Math.max(1, Math.floor(options.floors ?? 1));
+        this.wallBits = null;
+        this.seed = String(options.seed ?? Random.createSeed());
+        this.algorithm = options.algorithm ?? 'dfs';
+        this.braidFactor = options.braid ?? 0;
+        this.topologyName = options.topology ?? 'square';
+        this.wrap = Boolean(options.wrap);
+        this.placement = options.placement ?? 'corners';
+        this.terrainMix = options.terrain ?? null;
+        this.terrain = null;
+        this.doorCount = Math.max(0, Math.floor(options.doors ?? 0));
+        // Door i is the passage between cell ids doors[i].a and doors[i].b, opened by the key in cell keys[i]
+        this.doors = [];
+        this.keys = [];
+        this.teleporterCount = Math.max(0, Math.floor(options.teleporters ?? 0));
+        // Teleporter i links the cells with ids teleporters[i].a and teleporters[i].b
+        this.teleporters = [];
+        this.oneWayCount = Math.max(0, Math.floor(options.oneWays ?? 0));
+        // One-way passage i can be taken from cell id oneWays[i].a to oneWays[i].b, not back
+        this.oneWays = [];
+        this.topology = null;
+        this.random = null;
+        this.start = null;
+        this.goal = null;
+        if (options.generate !== false) {
+            this.generate();
+        }
     }
 
     /**
-     * Initialize grid with all walls present
-     * Each cell has 4 walls: North, East, South, West
+     * Initialize storage with all walls present
+     * Each cell has one wall per topology direction (4 square, 6 hex)
+     * Rows may differ in length (polar rings grow outward)
+     * Cell ids number the grid slots row by row, floor after floor;
+     * slots outside the mask have no walls and are not cells
      */
     initGrid() {
-        this.grid = [];
+        this.topology = createTopology(this.topologyName, this.width, this.height);
+        if (this.wrap) {
+            this.topology = applyWrap(this.topology);
+        }
+        if (this.mask) {
+            this.topology = applyMask(this.topology, this.mask);
+        }
+
+        this.rowStarts = new Int32Array(this.height + 1);
         for (let y = 0; y < this.height; y++) {
-            const row = [];
-            for (let x = 0; x < this.width; x++) {
-                row.push({
-                    x,
-                    y,
-                    walls: { n: true, e: true, s: true, w: true },
-                    visited: false
-                });
+            this.rowStarts[y + 1] = this.rowStarts[y] + this.topology.rowLength(y);
+        }
+        this.floorSize = this.rowStarts[this.height];
+        this.slotCount = this.floorSize * this.floors;
+        // Neighbour table entries per cell - the most walls any row's cells have
+        this.linkStride = 0;
+        for (let y = 0; y < this.height; y++) {
+            this.linkStride = Math.max(this.linkStride, this.topology.directionsAt(0, y).length);
+        }
+        this.links = this.topology.linkSlots(this.rowStarts, this.linkStride);
+
+        this.inside = new Uint8Array(this.floorSize);
+        this.wallBits = new Uint8Array(this.slotCount);
+        // Terrain codes index TERRAINS, so every cell starts as plain floor
+        this.terrain = new Uint8Array(this.slotCount);
+        this.doors = [];
+        this.keys = [];
+        this.teleporters = [];
+        this.oneWays = [];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.topology.rowLength(y); x++) {
+                if (!this.topology.contains(x, y)) continue;
+                const slot = this.rowStarts[y] + x;
+                const closed = (1 << this.topology.directionsAt(x, y).length) - 1;
+                this.inside[slot] = 1;
+                for (let z = 0; z < this.floors; z++) {
+                    this.wallBits[z * this.floorSize + slot] = closed |
+                        (z < this.floors - 1 ? UP_BIT : 0) | (z > 0 ? DOWN_BIT : 0);
+                }
+            }
+        }
+    }
+
+    /**
+     * Id of the cell at a position, or -1 outside the maze
+     */
+    cellId(x, y, z = 0) {
+        if (z < 0 || z >= this.floors || !this.topology.contains(x, y)) return -1;
+        return z * this.floorSize + this.rowStarts[y] + x;
+    }
+
+    /**
+     * Position of a cell id
+     */
+    positionOf(id) {
+        const z = Math.floor(id / this.floorSize);
+        const slot = id - z * this.floorSize;
+        // Binary search for the row holding the slot
+        let low = 0;
+        let high = this.height - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.rowStarts[mid] <= slot) {
+                low = mid;
+            } else {
+                high = mid - 1;
             }
-            this.grid.push(row);
+        }
+        return { x: slot - this.rowStarts[low], y: low, z };
+    }
+
+    /**
+     * Ids of every cell, or of one floor's cells
+     */
+    getCellIds(z = null) {
+        const ids = [];
+        const first = z === null ? 0 : z * this.floorSize;
+        const end = z === null ? this.slotCount : first + this.floorSize;
+        for (let id = first; id < end; id++) {
+            if (this.inside[id % this.floorSize]) ids.push(id);
+        }
+        return ids;
+    }
+
+    /**
+     * All cells on every floor
+     */
+    getCells() {
+        return this.getCellIds().map(id => this.getCellById(id));
+    }
+
+    /**
+     * A view of one floor that generators can carve as if it were the whole maze
+     */
+    getFloor(z) {
+        const floor = Object.create(this);
+        floor.getCellIds = () => this.getCellIds(z);
+        floor.getNeighborIds = id => this.getNeighborIds(id, false);
+        floor.pickNeighborId = (id, random) => this.pickNeighborId(id, random, false);
+        floor.cellId = (x, y) => this.cellId(x, y, z);
+        return floor;
+    }
+
+    /**
+     * Join each pair of neighbouring floors with a single stairwell,
+     * which keeps a perfect maze perfect
+     */
+    carveStairwells() {
+        for (let z = 0; z < this.floors - 1; z++) {
+            const id = this.random.pick(this.getCellIds(z));
+            this.removeWallById(id, id + this.floorSize);
         }
     }
 
     /**
-     * Generate maze using DFS with recursive backtracking
+     * Generate maze using the selected algorithm
      */
     generate() {
+        const algorithm = Object.hasOwn(Maze.algorithms, this.algorithm) ? Maze.algorithms[this.algorithm] : null;
+        if (!algorithm) {
+            throw new Error(`Unknown maze algorithm: ${this.algorithm}`);
+        }
+        if (!Maze.supportsAlgorithm(this.algorithm, this.topologyName)) {
+            throw new Error(`Maze algorithm "${this.algorithm}" does not support ${this.topologyName} topology`);
+        }
+        if (this.mask && !algorithm.masks) {
+            throw new Error(`Maze algorithm "${this.algorithm}" does not support masks`);
+        }
+        const placement = Object.hasOwn(Maze.placements, this.placement) ? Maze.placements[this.placement] : null;
+        if (!placement) {
+            throw new Error(`Unknown start/goal placement: ${this.placement}`);
+        }
+
+        this.random = new Random(this.seed);
         this.initGrid();
-        const stack = [];
-        const startCell = this.grid[0][0];
-        startCell.visited = true;
-        stack.push(startCell);
+        if (this.mask) {
+            this.validateMask();
+        }
+        for (let z = 0; z < this.floors; z++) {
+            algorithm.generate(this.getFloor(z), this.random);
+        }
+        this.carveStairwells();
 
-        while (stack.length > 0) {
-            const current = stack[stack.length - 1];
-            const neighbors = this.getUnvisitedNeighbors(current);
+        if (this.braidFactor > 0) {
+            this.braid(this.braidFactor);
+        }
+
+        [this.start, this.goal] = placement.place(this, this.random);
+
+        if (this.doorCount > 0) {
+            this.placeDoors(this.doorCount);
+        }
+        if (this.terrainMix) {
+            this.placeTerrain(this.terrainMix);
+        }
+        if (this.teleporterCount > 0) {
+            this.placeTeleporters(this.teleporterCount);
+        }
+        if (this.oneWayCount > 0) {
+            this.placeOneWays(this.oneWayCount);
+        }
+    }
+
+    /**
+     * Lay terrain in zones of a few neighbouring cells, grown from random
+     * floor cells; the start, goal, keys and doorways stay plain floor
+     * Ice slides the player past turnings, so an ice zone is shrunk until
+     * it can't leave the goal out of reach (see isIceReversible)
+     * @param {Object} mix - Fraction (0-1) of cells to cover with each terrain type
+     */
+    placeTerrain(mix) {
+        const cells = this.getCellIds();
+        // Keys and doors stay off the ice, so a key can't be slid past and
+        // unlocking a door can't change where a slide ends up
+        const reserved = [this.start, this.goal].map(({ x, y, z }) => this.cellId(x, y, z))
+            .concat(this.keys, this.doors.flatMap(({ a, b }) => [a, b]));
+        const isFree = id => this.terrain[id] === 0 && !reserved.includes(id);
+
+        for (const [name, fraction] of Object.entries(mix)) {
+            const code = TERRAINS.indexOf(name);
+            if (code <= 0) {
+                throw new Error(`Unknown terrain type: ${name}`);
+            }
+
+            let remaining = Math.round(cells.length * Math.min(1, Math.max(0, fraction)));
+            // Give up once seeds stop finding free cells (a crowded maze)
+            for (let attempts = 0; remaining > 0 && attempts < cells.length; attempts++) {
+                const seed = this.random.pick(cells);
+                if (!isFree(seed)) continue;
+
+                const size = TERRAIN_ZONE_SIZE.min + this.random.int(TERRAIN_ZONE_SIZE.max - TERRAIN_ZONE_SIZE.min + 1);
+                const zone = [seed];
+                this.terrain[seed] = code;
+                remaining--;
+                // Spread through neighbouring cells on the same floor, walls or not
+                for (let head = 0; head < zone.length && zone.length < size && remaining > 0; head++) {
+                    const free = this.getNeighborIds(zone[head], false).filter(isFree);
+                    this.random.shuffle(free);
+                    for (const next of free.slice(0, size - zone.length)) {
+                        if (remaining === 0) break;
+                        this.terrain[next] = code;
+                        zone.push(next);
+                        remaining--;
+                    }
+                }
+                // Shrink an ice zone that cuts the maze up, leaving its cells to other seeds
+                while (code === ICE && zone.length > 0 && !this.isIceReversible(zone)) {
+                    this.terrain[zone.pop()] = 0;
+                    remaining++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check the ice joined to some cells can't cut the maze up: every cell on
+     * or beside it the player can stop in can still reach all the others, so
+     * (with every door locked) ways through the ice still lead both ways
+     * Searches stay near the ice, so a long way round counts as cut off
+     * @param {number[]} ids - Cell ids on the ice
+     */
+    isIceReversible(ids) {
+        const open = id => this.getOpenNeighborIds(id).filter(next => !this.isShutById(id, next, this.doors, true));
+        const region = new Set(ids);
+        const queue = [...ids];
+        for (let head = 0; head < queue.length; head++) {
+            for (const next of open(queue[head])) {
+                if (this.terrain[next] === ICE && !region.has(next)) {
+                    region.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        const around = new Set(region);
+        region.forEach(id => open(id).forEach(next => around.add(next)));
+
+        // The engine picks a branch where a slide forks by where the player
+        // has been, so no slide may fork; and ice only counts where one comes to rest
+        const ends = new Set();
+        for (const id of around) {
+            const entered = new Set();
+            for (const { id: end, cells } of this.getSteps(id, this.doors)) {
+                if (entered.has(cells[0])) return false;
+                entered.add(cells[0]);
+                ends.add(end);
+            }
+        }
+        const [hub, ...others] = [...around].filter(id => this.terrain[id] !== ICE || ends.has(id));
+        return this.reachesNear(hub, others) && others.every(id => this.reachesNear(id, [hub]));
+    }
+
+    /**
+     * Check the player can get from one cell id to each of some others, with
+     * every door locked, in a search of up to ICE_SEARCH_CELLS cells
+     */
+    reachesNear(from, targets) {
+        const missing = new Set(targets);
+        missing.delete(from);
+        const seen = new Set([from]);
+        const queue = [from];
+        for (let head = 0; head < queue.length && head < ICE_SEARCH_CELLS && missing.size > 0; head++) {
+            for (const { id } of this.getSteps(queue[head], this.doors)) {
+                if (seen.has(id)) continue;
+                seen.add(id);
+                missing.delete(id);
+                queue.push(id);
+            }
+        }
+        return missing.size === 0;
+    }
+
+    /**
+     * Lock doors across passages of the solution path, spread along it, then
+     * hide each door's key where it can be reached with only the keys before
+     * it - so the doors can always be opened in order
+     * A door whose key has nowhere to go (right beside the start) is dropped
+     * @param {number} count - Doors to place; short paths may get fewer
+     */
+    placeDoors(count) {
+        const path = this.findPath().map(({ x, y, z }) => this.cellId(x, y, z));
+        const onPath = new Set(path);
+        // Stairwells have no wall on screen to hang a door in
+        const passages = [];
+        for (let i = 1; i < path.length; i++) {
+            if (!(this.getWallBitBetween(path[i - 1], path[i]) & (UP_BIT | DOWN_BIT))) {
+                passages.push({ a: path[i - 1], b: path[i] });
+            }
+        }
+
+        // One door in each of `count` equal stretches of the path
+        const doors = [];
+        for (let i = 0; i < count; i++) {
+            const first = Math.floor(i * passages.length / count);
+            const end = Math.floor((i + 1) * passages.length / count);
+            if (end > first) {
+                doors.push(passages[first + this.random.int(end - first)]);
+            }
+        }
+
+        const startId = this.cellId(this.start.x, this.start.y, this.start.z);
+        const goalId = this.cellId(this.goal.x, this.goal.y, this.goal.z);
+        const keys = [];
+        for (let i = 0; i < doors.length;) {
+            // Everywhere reachable without this door or any after it
+            const { order } = this.traverse([startId], doors.slice(i));
+            const free = order.filter(id => id !== startId && id !== goalId && !keys.includes(id));
+            if (free.length === 0) {
+                doors.splice(i, 1);
+                continue;
+            }
+            // Dead ends off the path make the player go looking
+            const offPath = free.filter(id => !onPath.has(id));
+            const hidden = offPath.filter(id => this.isDeadEndById(id));
+            keys.push(this.random.pick(hidden.length > 0 ? hidden : offPath.length > 0 ? offPath : free));
+            i++;
+        }
+
+        this.doors = doors;
+        this.keys = keys;
+    }
+
+    /**
+     * Link pairs of plain floor cells, each pair's second end in the half of
+     * the maze furthest from its first; start, goal, keys and door passages
+     * are left alone
+     * A teleporter can't be walked through, so it may cut a corridor - a pair
+     * that leaves the goal (or a key it needs) out of reach is dropped
+     * @param {number} count - Pairs to place; small mazes may get fewer
+     */
+    placeTeleporters(count) {
+        const reserved = new Set([this.start, this.goal].map(({ x, y, z }) => this.cellId(x, y, z)));
+        this.keys.forEach(id => reserved.add(id));
+        this.doors.forEach(({ a, b }) => reserved.add(a).add(b));
+        const free = this.getCellIds().filter(id => !reserved.has(id) && this.terrain[id] === 0);
 
-            if (neighbors.length === 0) {
-                stack.pop();
+        for (let attempts = 0; this.teleporters.length < count && free.length >= 2 && attempts < count * 4; attempts++) {
+            const a = free.splice(this.random.int(free.length), 1)[0];
+            const { distance } = this.traverse([a]);
+            const far = [...free].sort((p, q) => distance[q] - distance[p]).slice(0, Math.ceil(free.length / 2));
+            const b = this.random.pick(far);
+            this.teleporters.push({ a, b });
+            if (this.isSolvable()) {
+                free.splice(free.indexOf(b), 1);
             } else {
-                // Choose random unvisited neighbor
-                const next = neighbors[Math.floor(Math.random() * neighbors.length)];
-                this.removeWall(current, next);
-                next.visited = true;
-                stack.push(next);
+                this.teleporters.pop();
             }
         }
+    }
 
-        // Clean up visited flags
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                delete this.grid[y][x].visited;
+    /**
+     * Id of the cell a teleporter cell id sends the player to, or -1
+     */
+    getTeleportPartnerById(id) {
+        for (const { a, b } of this.teleporters) {
+            if (a === id) return b;
+            if (b === id) return a;
+        }
+        return -1;
+    }
+
+    /**
+     * Position a teleporter at a position sends the player to, or null if
+     * there is no teleporter there
+     */
+    getTeleportTarget(x, y, z = 0) {
+        const id = this.cellId(x, y, z);
+        const partner = id === -1 ? -1 : this.getTeleportPartnerById(id);
+        return partner === -1 ? null : this.positionOf(partner);
+    }
+
+    /**
+     * Turn passages into one-way passages, trying each way round and keeping
+     * the first that can't strand the player (see isTrapFree)
+     * Doors and stairwells stay two-way
+     * @param {number} count - Passages to make one-way; crowded mazes may get fewer
+     */
+    placeOneWays(count) {
+        const passages = [];
+        for (const id of this.getCellIds()) {
+            for (const next of this.getOpenNeighborIds(id)) {
+                if (next > id && !(this.getWallBitBetween(id, next) & (UP_BIT | DOWN_BIT)) &&
+                    this.getDoorBetween(id, next) === -1) {
+                    passages.push([id, next]);
+                }
+            }
+        }
+        this.random.shuffle(passages);
+
+        // Each check walks the whole maze, so don't try every passage of a big one
+        for (const [a, b] of passages.slice(0, count * 8)) {
+            if (this.oneWays.length >= count) break;
+            const ways = this.random.next() < 0.5 ? [[a, b], [b, a]] : [[b, a], [a, b]];
+            for (const [from, to] of ways) {
+                this.oneWays.push({ a: from, b: to });
+                if (this.isTrapFree()) break;
+                this.oneWays.pop();
             }
         }
     }
 
     /**
-     * Get unvisited neighboring cells
+     * Check if the passage from one cell id to a neighbouring one is the
+     * closed end of a one-way passage
      */
-    getUnvisitedNeighbors(cell) {
-        const neighbors = [];
-        const { x, y } = cell;
+    isOneWayAgainstById(a, b) {
+        return this.oneWays.some(oneWay => oneWay.a === b && oneWay.b === a);
+    }
+
+    /**
+     * Check if a named wall of a cell is a one-way passage that can't be
+     * taken from this side
+     */
+    isOneWayAgainst({ x, y, z }, direction) {
+        if (this.oneWays.length === 0) return false;
+        const next = this.getAdjacentPosition({ x, y, z }, direction);
+        return next !== null && this.cellId(x, y, z) !== -1 &&
+            this.isOneWayAgainstById(this.cellId(x, y, z), this.cellId(next.x, next.y, next.z));
+    }
 
-        // North
-        if (y > 0 && !this.grid[y - 1][x].visited) {
-            neighbors.push(this.grid[y - 1][x]);
+    /**
+     * Index of the door in the passage between two cell ids, or -1
+     */
+    getDoorBetween(a, b) {
+        return this.doors.findIndex(door => (door.a === a && door.b === b) || (door.a === b && door.b === a));
+    }
+
+    /**
+     * Index of the door in a named wall of the cell at a position, or -1
+     */
+    getDoor(x, y, z, direction) {
+        const next = this.getAdjacentPosition({ x, y, z }, direction);
+        if (!next || this.cellId(x, y, z) === -1) return -1;
+        return this.getDoorBetween(this.cellId(x, y, z), this.cellId(next.x, next.y, next.z));
+    }
+
+    /**
+     * Index of the key lying in the cell at a position, or -1
+     */
+    getKeyAt(x, y, z = 0) {
+        const id = this.cellId(x, y, z);
+        return id === -1 ? -1 : this.keys.indexOf(id);
+    }
+
+    /**
+     * Position of the key that opens a door
+     */
+    getKeyPosition(door) {
+        return this.positionOf(this.keys[door]);
+    }
+
+    /**
+     * Check if a named wall of a cell holds a door the keys don't open
+     * @param {Set<number>|null} keys - Indices of the keys held
+     */
+    isLocked({ x, y, z }, direction, keys = null) {
+        const door = this.getDoor(x, y, z, direction);
+        return door !== -1 && !keys?.has(door);
+    }
+
+    /**
+     * Terrain type of the cell at a position (see TERRAINS)
+     */
+    getTerrain(x, y, z = 0) {
+        const id = this.cellId(x, y, z);
+        return id === -1 ? 'floor' : TERRAINS[this.terrain[id]];
+    }
+
+    /**
+     * Check if any cell has terrain other than plain floor
+     */
+    hasTerrain() {
+        return this.terrain.some(code => code !== 0);
+    }
+
+    /**
+     * Check the mask leaves a single connected shape a maze can fill
+     */
+    validateMask() {
+        const cells = this.getCellIds(0);
+        if (cells.length < 2) {
+            throw new Error('Maze mask must contain at least two cells');
         }
-        // East
-        if (x < this.width - 1 && !this.grid[y][x + 1].visited) {
-            neighbors.push(this.grid[y][x + 1]);
+
+        // Flood fill through every wall, as if the maze were fully carved
+        const reached = new Uint8Array(this.floorSize);
+        const queue = [cells[0]];
+        reached[cells[0]] = 1;
+        for (let head = 0; head < queue.length; head++) {
+            for (const next of this.getNeighborIds(queue[head], false)) {
+                if (reached[next]) continue;
+                reached[next] = 1;
+                queue.push(next);
+            }
         }
-        // South
-        if (y < this.height - 1 && !this.grid[y + 1][x].visited) {
-            neighbors.push(this.grid[y + 1][x]);
+        if (queue.length !== cells.length) {
+            throw new Error('Maze mask must be one connected shape');
         }
-        // West
-        if (x > 0 && !this.grid[y][x - 1].visited) {
-            neighbors.push(this.grid[y][x - 1]);
+    }
+
+    /**
+     * Remove dead ends by knocking out extra walls, creating loops
+     * so there is more than one route to the goal
+     * @param {number} factor - Chance (0-1) that each dead end is removed
+     */
+    braid(factor) {
+        const deadEnds = this.getCellIds().filter(id => this.isDeadEndById(id));
+        this.random.shuffle(deadEnds);
+
+        for (const id of deadEnds) {
+            // An earlier removal may already have opened this one up
+            if (!this.isDeadEndById(id)) continue;
+            if (this.random.next() >= factor) continue;
+
+            const closed = this.getNeighborIds(id).filter(n => !this.isOpenById(id, n));
+            if (closed.length === 0) continue;
+
+            // Prefer joining two dead ends so one wall removes both
+            const deadNeighbors = closed.filter(n => this.isDeadEndById(n));
+            const target = this.random.pick(deadNeighbors.length > 0 ? deadNeighbors : closed);
+            this.removeWallById(id, target);
         }
+    }
+
+    /**
+     * Check if a cell has exactly one open passage
+     */
+    isDeadEnd(cell) {
+        return this.isDeadEndById(this.cellId(cell.x, cell.y, cell.z));
+    }
+
+    /**
+     * Check if a cell id has exactly one open passage
+     */
+    isDeadEndById(id) {
+        return this.getOpenNeighborIds(id).length === 1;
+    }
+
+    /**
+     * Register a start/goal placement strategy
+     * @param {string} name - Key used in the `placement` option
+     * @param {Function} place - (maze, random) => [start, goal], run once the maze is carved
+     * @param {string} [label] - Human readable name for menus
+     */
+    static registerPlacement(name, place, label = name) {
+        Maze.placements[name] = { place, label };
+    }
+
+    /**
+     * Register a generation strategy
+     * @param {string} name - Key used in the `algorithm` option
+     * @param {Function} generate - (maze, random) => void, carves with removeWall()
+     * @param {string} [label] - Human readable name for menus
+     * @param {string[]} [topologies] - Topologies it can carve, all if omitted
+     * @param {Object} [options]
+     * @param {boolean} [options.masks=true] - Whether it copes with cells missing from the grid
+     */
+    static registerAlgorithm(name, generate, label = name, topologies = null, { masks = true } = {}) {
+        Maze.algorithms[name] = { label, generate, topologies, masks };
+    }
+
+    /**
+     * Check if an algorithm can carve a given topology (and masked shapes if asked)
+     */
+    static supportsAlgorithm(name, topologyName, masked = false) {
+        // Names come from URLs and shared mazes, so "toString" mustn't find Object.prototype
+        const algorithm = Object.hasOwn(Maze.algorithms, name) ? Maze.algorithms[name] : null;
+        return Boolean(algorithm) &&
+            (!algorithm.topologies || algorithm.topologies.includes(topologyName)) &&
+            (!masked || algorithm.masks);
+    }
+
+    /**
+     * Get all neighboring cells inside the grid, including the floors above and below
+     */
+    getNeighbors(cell) {
+        return this.getNeighborIds(this.cellId(cell.x, cell.y, cell.z)).map(id => this.getCellById(id));
+    }
 
+    /**
+     * Ids of a cell's neighbours, in wall order (the topology's directions, then up and down)
+     * @param {boolean} [vertical=true] - Include the cells above and below
+     */
+    getNeighborIds(id, vertical = true) {
+        const { links, floorSize, linkStride } = this;
+        const neighbors = [];
+        const z = this.floors === 1 ? 0 : Math.floor(id / floorSize);
+        const base = z * floorSize;
+        const link = (id - base) * linkStride;
+        for (let i = link; i < link + linkStride; i++) {
+            if (links[i] !== -1) neighbors.push(base + links[i]);
+        }
+        if (vertical && z < this.floors - 1) neighbors.push(id + floorSize);
+        if (vertical && z > 0) neighbors.push(id - floorSize);
         return neighbors;
     }
 
+    /**
+     * A random neighbour of a cell, as random.pick(getNeighborIds(id)) would
+     * choose but without building the list - for walks millions of steps long
+     */
+    pickNeighborId(id, random, vertical = true) {
+        const { links, floorSize, linkStride } = this;
+        const z = this.floors === 1 ? 0 : Math.floor(id / floorSize);
+        const base = z * floorSize;
+        const link = (id - base) * linkStride;
+        // Slots past the links stand for up and down; an empty slot is drawn again
+        const slots = linkStride + (vertical ? 2 : 0);
+        for (let tries = 0; tries < 16; tries++) {
+            const slot = random.int(slots);
+            if (slot < linkStride) {
+                if (links[link + slot] !== -1) return base + links[link + slot];
+            } else if (slot === linkStride ? z < this.floors - 1 : z > 0) {
+                return slot === linkStride ? id + floorSize : id - floorSize;
+            }
+        }
+        // Mostly empty slots - fall back to the list
+        return random.pick(this.getNeighborIds(id, vertical));
+    }
+
+    /**
+     * Ids of the neighbours a cell has an open passage to
+     */
+    getOpenNeighborIds(id) {
+        return this.getNeighborIds(id).filter(next => !(this.wallBits[id] & this.getWallBitBetween(id, next)));
+    }
+
+    /**
+     * Bit of the wall on cell a facing cell b, or 0 if they aren't adjacent
+     */
+    getWallBitBetween(a, b) {
+        if (b === a + this.floorSize) return UP_BIT;
+        if (b === a - this.floorSize) return DOWN_BIT;
+
+        const z = Math.floor(a / this.floorSize);
+        const base = z * this.floorSize;
+        if (b < base || b >= base + this.floorSize) return 0;
+        const link = (a - base) * this.linkStride;
+        for (let i = 0; i < this.linkStride; i++) {
+            if (this.links[link + i] === b - base) return 1 << i;
+        }
+        return 0;
+    }
+
+    /**
+     * Bit for a named wall of the cell at a position, or 0 if it has no such wall
+     */
+    getWallBit({ x, y, z = 0 }, direction) {
+        if (direction === 'up') return z < this.floors - 1 ? UP_BIT : 0;
+        if (direction === 'down') return z > 0 ? DOWN_BIT : 0;
+        const index = this.topology.directionsAt(x, y).indexOf(direction);
+        return index === -1 ? 0 : 1 << index;
+    }
+
+    /**
+     * Names of every wall the cell at a position has
+     */
+    getWallDirections(x, y, z = 0) {
+        const directions = [...this.topology.directionsAt(x, y)];
+        if (z < this.floors - 1) directions.push('up');
+        if (z > 0) directions.push('down');
+        return directions;
+    }
+
+    /**
+     * Check if a named wall of the cell at a position is standing
+     */
+    hasWall(x, y, z, direction) {
+        const id = this.cellId(x, y, z);
+        return id !== -1 && (this.wallBits[id] & this.getWallBit({ x, y, z }, direction)) !== 0;
+    }
+
+    /**
+     * View of a cell id shaped like a plain cell: {id, x, y, z, walls}, where
+     * walls[direction] is true while that wall stands and assigning to it
+     * opens or closes this side of the wall. Views are made on demand, so
+     * compare cells by position or id rather than identity
+     */
+    getCellById(id) {
+        const { x, y, z } = this.positionOf(id);
+        const walls = {};
+        for (const direction of this.getWallDirections(x, y, z)) {
+            const bit = this.getWallBit({ x, y, z }, direction);
+            Object.defineProperty(walls, direction, {
+                enumerable: true,
+                get: () => (this.wallBits[id] & bit) !== 0,
+                set: closed => {
+                    this.wallBits[id] = closed ? this.wallBits[id] | bit : this.wallBits[id] & ~bit;
+                }
+            });
+        }
+        return { id, x, y, z, walls };
+    }
+
+    /**
+     * Position across one wall of a cell, or null off the edge of the maze
+     */
+    getAdjacentPosition(cell, direction) {
+        if (VERTICAL_DIRECTIONS.includes(direction)) {
+            const z = cell.z + (direction === 'up' ? 1 : -1);
+            return z >= 0 && z < this.floors ? { x: cell.x, y: cell.y, z } : null;
+        }
+
+        const next = this.topology.neighbor(cell.x, cell.y, direction);
+        return next ? { ...next, z: cell.z } : null;
+    }
+
+    /**
+     * Get the direction from cell a to an adjacent cell b
+     */
+    getDirection(a, b) {
+        const floorDelta = (b.z ?? 0) - (a.z ?? 0);
+        if (floorDelta !== 0) {
+            if (a.x !== b.x || a.y !== b.y || Math.abs(floorDelta) !== 1) return null;
+            return floorDelta > 0 ? 'up' : 'down';
+        }
+        return this.topology.getDirection(a, b);
+    }
+
+    /**
+     * Walls a move in a direction may pass through
+     * Stairwells are single walls; the topology expands the rest
+     */
+    expandDirection(cell, direction) {
+        if (VERTICAL_DIRECTIONS.includes(direction)) {
+            return this.getWallBit(cell, direction) ? [direction] : [];
+        }
+        return this.topology.expandDirection(cell.x, cell.y, direction);
+    }
+
+    /**
+     * Check if there is a passage between two adjacent cells
+     */
+    isOpen(a, b) {
+        return this.isOpenById(this.cellId(a.x, a.y, a.z), this.cellId(b.x, b.y, b.z));
+    }
+
+    /**
+     * Check if there is a passage between two adjacent cell ids
+     */
+    isOpenById(a, b) {
+        const bit = this.getWallBitBetween(a, b);
+        return bit !== 0 && !(this.wallBits[a] & bit);
+    }
+
     /**
      * Remove wall between two adjacent cells
      */
     removeWall(a, b) {
-        const dx = b.x - a.x;
-        const dy = b.y - a.y;
+        this.removeWallById(this.cellId(a.x, a.y, a.z), this.cellId(b.x, b.y, b.z));
+    }
+
+    /**
+     * Remove wall between two adjacent cell ids
+     */
+    removeWallById(a, b) {
+        const forward = this.getWallBitBetween(a, b);
+        const backward = this.getWallBitBetween(b, a);
+        if (forward === 0 || backward === 0) return;
+
+        this.wallBits[a] &= ~forward;
+        this.wallBits[b] &= ~backward;
+    }
+
+    /**
+     * Put back the wall between two adjacent cell ids
+     */
+    addWallById(a, b) {
+        const forward = this.getWallBitBetween(a, b);
+        const backward = this.getWallBitBetween(b, a);
+        if (forward === 0 || backward === 0) return;
+
+        this.wallBits[a] |= forward;
+        this.wallBits[b] |= backward;
+    }
+
+    /**
+     * Rewire a patch of the maze: each swap closes a passage and opens a wall
+     * across the gap it leaves, so every cell stays reachable and a perfect
+     * maze stays perfect. Stairwells and doors never move, and a swap that
+     * would leave the goal out of reach (keys included) is undone
+     * @param {Object} [options]
+     * @param {number} [options.swaps=4] - Passages to move
+     * @param {number} [options.size=16] - Cells in the patch that is rewired
+     * @param {number[]} [options.keep=[]] - Cell ids whose walls must stay as they are
+     * @param {{x: number, y: number, z: number}} [options.from=this.start] - Where the goal must stay reachable from
+     * @param {Set<number>} [options.keys] - Keys already held
+     * @param {Random} [options.random=this.random]
+     * @returns {Array<{x: number, y: number, z: number, direction: string}>} every wall that
+     *          changed, seen from both of its cells
+     */
+    shift({ swaps = 4, size = 16, keep = [], from = this.start, keys = new Set(), random = this.random } = {}) {
+        const cells = this.getCellIds();
+        const centre = random.pick(cells);
+
+        // Patch of nearby cells on one floor, walls or not
+        const patch = [centre];
+        const inPatch = new Set(patch);
+        for (let head = 0; head < patch.length && patch.length < size; head++) {
+            for (const next of this.getNeighborIds(patch[head], false)) {
+                if (inPatch.has(next) || patch.length >= size) continue;
+                inPatch.add(next);
+                patch.push(next);
+            }
+        }
+
+        const movable = (a, b) => !keep.includes(a) && !keep.includes(b) && this.getDoorBetween(a, b) === -1 &&
+            !this.isOneWayAgainstById(a, b) && !this.isOneWayAgainstById(b, a);
+        const changed = [];
+        for (let attempt = 0; attempt < swaps * 4 && changed.length < swaps; attempt++) {
+            const passages = [];
+            for (const id of patch) {
+                for (const next of this.getOpenNeighborIds(id)) {
+                    if (next > id && inPatch.has(next) && movable(id, next)) passages.push([id, next]);
+                }
+            }
+            if (passages.length === 0) break;
 
-        if (dx === 1) {
-            a.walls.e = false;
-            b.walls.w = false;
-        } else if (dx === -1) {
-            a.walls.w = false;
-            b.walls.e = false;
-        } else if (dy === 1) {
-            a.walls.s = false;
-            b.walls.n = false;
-        } else if (dy === -1) {
-            a.walls.n = false;
-            b.walls.s = false;
+            const [a, b] = random.pick(passages);
+            this.addWallById(a, b);
+
+            // Open a wall across the cut, or anywhere in the patch if the passage closed a loop
+            const { distance } = this.traverse([a]);
+            const split = distance[b] === -1;
+            const walls = [];
+            for (const id of patch) {
+                for (const next of this.getNeighborIds(id, false)) {
+                    if (!inPatch.has(next) || this.isOpenById(id, next) || !movable(id, next)) continue;
+                    if ((id === a && next === b) || (id === b && next === a)) continue;
+                    if (split ? distance[id] !== -1 && distance[next] === -1 : next > id) walls.push([id, next]);
+                }
+            }
+            if (walls.length === 0) {
+                this.removeWallById(a, b);
+                continue;
+            }
+
+            const [c, d] = random.pick(walls);
+            this.removeWallById(c, d);
+            if (!this.isTrapFree(from, keys)) {
+                this.removeWallById(a, b);
+                this.addWallById(c, d);
+                continue;
+            }
+            changed.push([a, b, c, d]);
         }
+
+        return changed.flatMap(([a, b, c, d]) => [[a, b], [c, d]]).flatMap(([a, b]) => {
+            const [first, second] = [this.positionOf(a), this.positionOf(b)];
+            return [
+                { ...first, direction: this.getDirection(first, second) },
+                { ...second, direction: this.getDirection(second, first) }
+            ];
+        });
     }
 
     /**
      * Check if player can move in a direction
-     * @returns {boolean | string} false if can move, 'wall' if blocked by wall
+     * @param {Set<number>|null} [keys] - Indices of the keys held, which open their doors
+     * @returns {boolean | string} false if can move, 'wall' if blocked by wall,
+     *          'locked' at a door none of the keys open, 'oneway' at the closed
+     *          end of a one-way passage,
+     *          'boundary' at the edge of the maze (including cells outside its mask)
      */
-    canMove(x, y, direction) {
-        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+    canMove(x, y, direction, z = 0, keys = null) {
+        if (this.cellId(x, y, z) === -1) {
             return 'boundary';
         }
 
-        const cell = this.grid[y][x];
+        // Some inputs cover several walls (e.g. 'out' on a polar ring that splits)
+        const cell = { x, y, z };
+        const walls = this.expandDirection(cell, direction);
+        if (walls.length === 0) {
+            return 'invalid';
+        }
 
-        switch (direction) {
-            case 'n': return cell.walls.n ? 'wall' : false;
-            case 'e': return cell.walls.e ? 'wall' : false;
-            case 's': return cell.walls.s ? 'wall' : false;
-            case 'w': return cell.walls.w ? 'wall' : false;
-            default: return 'invalid';
+        const open = walls.filter(wall => !this.hasWall(x, y, z, wall));
+        if (open.length > 0) {
+            const oneWay = open.filter(wall => this.isOneWayAgainst(cell, wall));
+            if (oneWay.length === open.length) return 'oneway';
+            return open.some(wall => !oneWay.includes(wall) && !this.isLocked(cell, wall, keys)) ? false : 'locked';
         }
+        return walls.some(wall => this.getAdjacentPosition(cell, wall)) ? 'wall' : 'boundary';
+    }
+
+    /**
+     * Get the cell reached by moving in a direction, or null if blocked
+     */
+    getMoveTarget(x, y, direction, z = 0, keys = null) {
+        return this.getMoveTargets(x, y, direction, z, keys)[0] ?? null;
+    }
+
+    /**
+     * Get every cell a direction can lead to (several where a polar 'out' forks)
+     * Each target's `via` is where the move heads on screen - off the grid
+     * when it crosses the seam of a wrapping maze, otherwise the target itself
+     * Doors the keys don't open, and one-way passages taken the wrong way, lead nowhere
+     */
+    getMoveTargets(x, y, direction, z = 0, keys = null) {
+        if (this.cellId(x, y, z) === -1) return [];
+
+        const cell = { x, y, z };
+        return this.expandDirection(cell, direction)
+            .filter(wall => !this.hasWall(x, y, z, wall) && !this.isLocked(cell, wall, keys) &&
+                !this.isOneWayAgainst(cell, wall))
+            .map(wall => {
+                const target = this.getAdjacentPosition(cell, wall);
+                const via = VERTICAL_DIRECTIONS.includes(wall)
+                    ? { x: target.x, y: target.y }
+                    : this.topology.unwrappedNeighbor(x, y, wall);
+                return { ...target, via };
+            });
     }
 
     /**
      * Check if position is the goal
      */
-    isGoal(x, y) {
-        return x === this.goal.x && y === this.goal.y;
+    isGoal(x, y, z = 0) {
+        return x === this.goal.x && y === this.goal.y && z === this.goal.z;
     }
 
     /**
-     * Regenerate the maze
+     * Regenerate the maze, from a fresh seed unless one is given
      */
-    regenerate() {
+    regenerate(seed = Random.createSeed()) {
+        this.seed = String(seed);
         this.generate();
     }
 
     /**
      * Get cell at position
      */
-    getCell(x, y) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            return this.grid[y][x];
-        }
-        return null;
+    getCell(x, y, z = 0) {
+        const id = this.cellId(x, y, z);
+        return id === -1 ? null : this.getCellById(id);
+    }
+
+    /**
+     * Check for a stairwell leading up or down from a cell
+     */
+    hasStairwell(x, y, z, direction) {
+        return this.cellId(x, y, z) !== -1 && this.getWallBit({ x, y, z }, direction) !== 0 &&
+            !this.hasWall(x, y, z, direction);
     }
 
     /**
-     * Get count of adjacent walls for a cell (0-4)
-     * Used for wall proximity hints
+     * Get count of adjacent walls for a cell (0-4 square, 0-6 hex, varies for polar)
+     * Used for wall proximity hints, so floors and ceilings don't count
      */
-    getAdjacentWallCount(x, y) {
-        const cell = this.getCell(x, y);
-        if (!cell) return 0;
+    getAdjacentWallCount(x, y, z = 0) {
+        const id = this.cellId(x, y, z);
+        if (id === -1) return 0;
 
         let count = 0;
-        if (cell.walls.n) count++;
-        if (cell.walls.e) count++;
-        if (cell.walls.s) count++;
-        if (cell.walls.w) count++;
+        for (let bits = this.wallBits[id] & ~(UP_BIT | DOWN_BIT); bits; bits &= bits - 1) {
+            count++;
+        }
         return count;
     }
+
+    /**
+     * Get fraction (0-1) of a cell's walls that are closed
+     */
+    getWallProximity(x, y, z = 0) {
+        if (this.cellId(x, y, z) === -1) return 0;
+
+        return this.getAdjacentWallCount(x, y, z) / this.topology.directionsAt(x, y).length;
+    }
+
+    // ============================================
+    // ANALYSIS
+    // ============================================
+
+    /**
+     * Get neighboring cells reachable through an open passage
+     */
+    getOpenNeighbors(cell) {
+        return this.getOpenNeighborIds(this.cellId(cell.x, cell.y, cell.z)).map(id => this.getCellById(id));
+    }
+
+    /**
+     * Breadth-first search from one or more source cell ids
+     * @param {Array<{a: number, b: number}>} [closed] - Doors to treat as walls
+     * @param {boolean} [asPlayer=false] - Follow the rules the player moves by: teleporters
+     *        carry them on to their partner, ice slides them on (see getSlides) and
+     *        one-way passages only go one way
+     * @returns {{ distance: Int32Array, previous: Int32Array, order: number[] }} distance
+     *          (in moves) and previous are indexed by cell id (-1 where unreached); order
+     *          lists the reached ids nearest first
+     */
+    traverse(sources, closed = [], asPlayer = false) {
+        // A slide takes several moves at once, which breadth-first can't weigh
+        if (asPlayer && this.terrain.includes(ICE)) {
+            return this.traverseSlides(sources, closed);
+        }
+
+        const distance = new Int32Array(this.slotCount).fill(-1);
+        const previous = new Int32Array(this.slotCount).fill(-1);
+        const queue = [];
+
+        for (const source of sources) {
+            distance[source] = 0;
+            queue.push(source);
+        }
+
+        for (let head = 0; head < queue.length; head++) {
+            const id = queue[head];
+            for (const next of this.getStepIds(id, closed, asPlayer)) {
+                if (distance[next] !== -1) continue;
+                distance[next] = distance[id] + 1;
+                previous[next] = id;
+                queue.push(next);
+            }
+        }
+
+        return { distance, previous, order: queue };
+    }
+
+    /**
+     * traverse() for a player on a maze with ice: cells are settled by the
+     * moves it takes to reach them, slides included, rather than a ring of
+     * neighbours at a time
+     */
+    traverseSlides(sources, closed = []) {
+        const distance = new Int32Array(this.slotCount).fill(-1);
+        const previous = new Int32Array(this.slotCount).fill(-1);
+        const order = [];
+        // Fewest moves found so far to each cell id, and the ids found at each count
+        const best = new Int32Array(this.slotCount).fill(-1);
+        const found = [[]];
+
+        for (const source of sources) {
+            best[source] = 0;
+            found[0].push(source);
+        }
+
+        for (let moves = 0; moves < found.length; moves++) {
+            for (const id of found[moves] ?? []) {
+                if (distance[id] !== -1 || best[id] !== moves) continue;
+                distance[id] = moves;
+                order.push(id);
+                for (const step of this.getSteps(id, closed)) {
+                    const total = moves + step.cells.length;
+                    if (best[step.id] !== -1 && best[step.id] <= total) continue;
+                    best[step.id] = total;
+                    previous[step.id] = id;
+                    (found[total] ??= []).push(step.id);
+                }
+            }
+        }
+
+        return { distance, previous, order };
+    }
+
+    /**
+     * Cell ids one move from a cell id leads to (see traverse), ice aside
+     */
+    getStepIds(id, closed = [], asPlayer = false) {
+        const steps = [];
+        for (const next of this.getOpenNeighborIds(id)) {
+            if (this.isShutById(id, next, closed, asPlayer)) continue;
+            const partner = asPlayer && this.teleporters.length > 0 ? this.getTeleportPartnerById(next) : -1;
+            steps.push(partner === -1 ? next : partner);
+        }
+        return steps;
+    }
+
+    /**
+     * Moves a player can make from a cell id: the id each leaves them in,
+     * and the cell ids it takes them through, one move each - more than one
+     * where ice slides them on
+     * @returns {Array<{id: number, cells: number[]}>}
+     */
+    getSteps(id, closed = []) {
+        const steps = [];
+        for (const next of this.getOpenNeighborIds(id)) {
+            if (this.isShutById(id, next, closed, true)) continue;
+            const slides = this.terrain[next] === ICE && !(this.getWallBitBetween(id, next) & (UP_BIT | DOWN_BIT));
+            for (const cells of slides ? this.getSlides(id, next, closed) : [[next]]) {
+                const end = cells[cells.length - 1];
+                const partner = this.teleporters.length > 0 ? this.getTeleportPartnerById(end) : -1;
+                steps.push({ id: partner === -1 ? end : partner, cells });
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * Check if the passage from one cell id to a neighbouring one is shut by
+     * a closed door or, for the player, taken the wrong way through a one-way passage
+     */
+    isShutById(a, b, closed = [], asPlayer = false) {
+        if (closed.length > 0 && closed.some(door =>
+            (door.a === a && door.b === b) || (door.a === b && door.b === a))) return true;
+        return asPlayer && this.oneWays.length > 0 && this.isOneWayAgainstById(a, b);
+    }
+
+    /**
+     * Where the player slides after stepping from one cell id onto the ice at
+     * the next, as the engine moves them: on the way they were heading until
+     * that way is shut, they leave the ice, reach the goal or a teleporter,
+     * or have slid floorSize cells
+     * Every branch of a fork (a polar 'out' into a ring that splits) is followed
+     * @returns {number[][]} The cell ids each slide passes through, `next` first
+     */
+    getSlides(from, next, closed = []) {
+        const cell = this.positionOf(from);
+        const walls = this.topology.directionsAt(cell.x, cell.y);
+        const wall = walls[31 - Math.clz32(this.getWallBitBetween(from, next))];
+        // The slide keeps to the direction pressed, which may cover several walls
+        const direction = this.topology.directions.find(name =>
+            this.topology.expandDirection(cell.x, cell.y, name).includes(wall));
+        const goalId = this.cellId(this.goal.x, this.goal.y, this.goal.z);
+
+        const slides = [];
+        const stack = [[next]];
+        while (stack.length > 0) {
+            const cells = stack.pop();
+            const id = cells[cells.length - 1];
+            const ahead = [];
+            if (this.terrain[id] === ICE && id !== goalId && cells.length <= this.floorSize &&
+                this.getTeleportPartnerById(id) === -1) {
+                const position = this.positionOf(id);
+                for (const name of this.expandDirection(position, direction)) {
+                    if (this.hasWall(position.x, position.y, position.z, name)) continue;
+                    const target = this.getAdjacentPosition(position, name);
+                    const targetId = this.cellId(target.x, target.y, target.z);
+                    if (!this.isShutById(id, targetId, closed, true)) ahead.push(targetId);
+                }
+            }
+            if (ahead.length === 0) {
+                slides.push(cells);
+            }
+            ahead.forEach(targetId => stack.push([...cells, targetId]));
+        }
+        return slides;
+    }
+
+    /**
+     * Shortest path between two positions (start to goal by default)
+     * Teleporters are taken where they help, so consecutive cells may be far
+     * apart; cells slid across on ice are listed, as each takes a move
+     * @returns {Array<{x: number, y: number, z: number}> | null} cells from `from` to `to`, or null if unreachable
+     */
+    findPath(from = this.start, to = this.goal) {
+        const source = this.cellId(from.x, from.y, from.z);
+        const target = this.cellId(to.x, to.y, to.z);
+        if (source === -1 || target === -1) return null;
+
+        const { distance, previous } = this.traverse([source], [], true);
+        if (distance[target] === -1) return null;
+
+        const stops = [];
+        for (let id = target; id !== -1; id = previous[id]) {
+            stops.push(id);
+        }
+        stops.reverse();
+
+        const path = [source];
+        for (let i = 1; i < stops.length; i++) {
+            const moves = distance[stops[i]] - distance[stops[i - 1]];
+            if (moves > 1) {
+                const { cells } = this.getSteps(stops[i - 1])
+                    .find(step => step.id === stops[i] && step.cells.length === moves);
+                path.push(...cells.slice(0, -1));
+            }
+            path.push(stops[i]);
+        }
+        return path.map(id => this.positionOf(id));
+    }
+
+    /**
+     * Check the goal can be reached from the start, picking up keys on
+     * the way, opening their doors and taking teleporters
+     * @param {{x: number, y: number, z: number}} [from=this.start] - Where to set off from
+     * @param {Set<number>} [keys] - Keys already held
+     */
+    isSolvable(from = this.start, keys = new Set()) {
+        const startId = this.cellId(from.x, from.y, from.z);
+        const goalId = this.cellId(this.goal.x, this.goal.y, this.goal.z);
+        const held = new Set(keys);
+        for (;;) {
+            const { distance } = this.traverse([startId], this.doors.filter((_, door) => !held.has(door)), true);
+            if (distance[goalId] !== -1) return true;
+
+            const found = [];
+            this.keys.forEach((id, door) => {
+                if (!held.has(door) && distance[id] !== -1) found.push(door);
+            });
+            if (found.length === 0) return false;
+            found.forEach(door => held.add(door));
+        }
+    }
+
+    /**
+     * Check the goal stays reachable from every cell the player can get to,
+     * so no one-way passage or slide across ice can strand them
+     * Without either every move can be undone, and solvable is enough
+     * @param {{x: number, y: number, z: number}} [from=this.start] - Where to set off from
+     * @param {Set<number>} [keys] - Keys already held
+     */
+    isTrapFree(from = this.start, keys = new Set()) {
+        if (this.oneWays.length === 0 && !this.terrain.includes(ICE)) return this.isSolvable(from, keys);
+
+        // Which doors open depends on the keys held, so a player's state is
+        // their cell and their keys - list every state they could get into
+        const goalId = this.cellId(this.goal.x, this.goal.y, this.goal.z);
+        const states = new Map();
+        const visit = (id, held, previous) => {
+            const name = held.size === 0 ? id : `${id}|${[...held].sort((a, b) => a - b).join(',')}`;
+            let state = states.get(name);
+            if (!state) {
+                state = { id, held, incoming: [], reaches: false };
+                states.set(name, state);
+                queue.push(state);
+            }
+            if (previous) state.incoming.push(previous);
+        };
+        const queue = [];
+        visit(this.cellId(from.x, from.y, from.z), new Set(keys), null);
+        for (let head = 0; head < queue.length; head++) {
+            const state = queue[head];
+            // The run ends at the goal
+            if (state.id === goalId) continue;
+            const closed = this.doors.filter((_, door) => !state.held.has(door));
+            for (const { id: next, cells } of this.getSteps(state.id, closed)) {
+                const held = new Set(state.held);
+                this.keys.forEach((id, door) => {
+                    if (cells.includes(id)) held.add(door);
+                });
+                visit(next, held, state);
+            }
+        }
+
+        // Walk the moves backwards from the goal
+        const reached = queue.filter(state => state.id === goalId);
+        reached.forEach(state => { state.reaches = true; });
+        for (let head = 0; head < reached.length; head++) {
+            for (const state of reached[head].incoming) {
+                if (state.reaches) continue;
+                state.reaches = true;
+                reached.push(state);
+            }
+        }
+        return queue.every(state => state.reaches);
+    }
+
+    /**
+     * Minimum number of moves from start to goal (-1 if unsolvable)
+     */
+    getSolutionLength() {
+        const path = this.findPath();
+        return path ? path.length - 1 : -1;
+    }
+
+    /**
+     * Cells with exactly one open passage
+     */
+    getDeadEnds() {
+        return this.getCellIds().filter(id => this.isDeadEndById(id)).map(id => this.getCellById(id));
+    }
+
+    /**
+     * Cells with three or more open passages (decision points)
+     */
+    getJunctions() {
+        return this.getCellIds().filter(id => this.isJunctionById(id)).map(id => this.getCellById(id));
+    }
+
+    /**
+     * Check if a cell id has three or more open passages
+     */
+    isJunctionById(id) {
+        return this.getOpenNeighborIds(id).length >= 3;
+    }
+
+    /**
+     * Average number of moves between decision points or dead ends
+     */
+    getAverageCorridorLength() {
+        let total = 0;
+        let count = 0;
+
+        for (const node of this.getCellIds()) {
+            // Corridors run between cells that are not simple pass-throughs
+            if (this.getOpenNeighborIds(node).length === 2) continue;
+
+            for (let next of this.getOpenNeighborIds(node)) {
+                let prev = node;
+                let length = 1;
+                while (this.getOpenNeighborIds(next).length === 2) {
+                    const [a, b] = this.getOpenNeighborIds(next);
+                    [prev, next] = [next, a === prev ? b : a];
+                    length++;
+                }
+                // Every corridor is walked once from each end, which leaves the average unchanged
+                total += length;
+                count++;
+            }
+        }
+
+        return count > 0 ? total / count : 0;
+    }
+
+    /**
+     * Furthest a player can stray from the shortest solution before running out of maze
+     */
+    getLongestDeadEndBranch() {
+        const path = this.findPath();
+        if (!path) return 0;
+
+        const { distance, order } = this.traverse(path.map(({ x, y, z }) => this.cellId(x, y, z)), [], true);
+        return distance[order[order.length - 1]];
+    }
+
+    /**
+     * Two cells about as far apart as the maze allows (double breadth-first search:
+     * the cell furthest from anywhere is one end of a longest path)
+     * @returns {Array<{x: number, y: number, z: number}>} [start, goal]
+     */
+    getFarthestPair() {
+        const a = this.getFurthestCell(this.positionOf(this.getCellIds()[0]));
+        const b = this.getFurthestCell(a);
+        // Start on the lower floor so the climb goes upward
+        return a.z <= b.z ? [a, b] : [b, a];
+    }
+
+    /**
+     * The reachable cell the most moves away from a position
+     * @param {Function} [filter] - Only consider cell ids it accepts
+     * @returns {{x: number, y: number, z: number}|null} null if no reachable cell passes the filter
+     */
+    getFurthestCell(from, filter = () => true) {
+        const { distance, order } = this.traverse([this.cellId(from.x, from.y, from.z)]);
+        let furthest = -1;
+        let furthestSteps = -1;
+        for (const id of order) {
+            if (distance[id] > furthestSteps && filter(id)) {
+                furthest = id;
+                furthestSteps = distance[id];
+            }
+        }
+        return furthest === -1 ? null : this.positionOf(furthest);
+    }
+
+    /**
+     * Collect all analysis figures in one object
+     */
+    analyze() {
+        const path = this.findPath();
+        const cells = this.getCellIds();
+        const pathCells = path ? path.map(({ x, y, z }) => this.cellId(x, y, z)) : [];
+
+        return {
+            solvable: path !== null,
+            solutionLength: path ? path.length - 1 : -1,
+            deadEnds: cells.filter(id => this.isDeadEndById(id)).length,
+            junctions: cells.filter(id => this.isJunctionById(id)).length,
+            // Junctions met along the way are the choices a player must get right
+            solutionJunctions: pathCells.filter(id => this.isJunctionById(id)).length,
+            averageCorridorLength: this.getAverageCorridorLength(),
+            longestDeadEndBranch: this.getLongestDeadEndBranch(),
+            cellCount: cells.length
+        };
+    }
+
+    /**
+     * Combine the analysis figures into a single 0-100 difficulty score
+     */
+    getDifficulty(analysis = this.analyze()) {
+        if (!analysis.solvable) return 0;
+
+        const { cellCount } = analysis;
+        const shortest = this.topology.distance(this.start, this.goal) + Math.abs(this.goal.z - this.start.z);
+
+        // Each factor is normalized to 0-1
+        const detour = (analysis.solutionLength - shortest) / Math.max(1, cellCount - 1 - shortest);
+        const choices = Math.min(1, analysis.solutionJunctions / Math.sqrt(cellCount));
+        const deadEnds = Math.min(1, analysis.deadEnds / (cellCount * 0.3));
+        const branch = Math.min(1, analysis.longestDeadEndBranch / (cellCount / 4));
+
+        const score = detour * 0.4 + choices * 0.25 + deadEnds * 0.15 + branch * 0.2;
+        return Math.round(Math.min(1, Math.max(0, score)) * 100);
+    }
+
+    // ============================================
+    // IMPORT / EXPORT
+    // ============================================
+
+    /**
+     * Serialize to plain, readable data (see Maze.fromJSON)
+     * `walls[z][y][x]` lists the closed walls of each cell (null outside the mask),
+     * and `mask` is ASCII rows with '#' for cells and '.' for gaps
+     */
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            topology: this.topologyName,
+            width: this.width,
+            height: this.height,
+            floors: this.floors,
+            wrap: this.wrap,
+            start: { ...this.start },
+            goal: { ...this.goal },
+            seed: this.seed,
+            algorithm: this.algorithm,
+            braid: this.braidFactor,
+            mask: this.mask && this.mask.map(row => row.map(inside => (inside ? '#' : '.')).join('')),
+            // One text row per grid row and floor: '.' floor, 'm' mud, 'i' ice, 'd' drain
+            terrain: this.hasTerrain()
+                ? Array.from({ length: this.floors }, (_, z) =>
+                    Array.from({ length: this.height }, (_, y) =>
+                        Array.from({ length: this.topology.rowLength(y) }, (_, x) =>
+                            TERRAIN_CHARS[TERRAINS.indexOf(this.getTerrain(x, y, z))]).join('')))
+                : null,
+            // Each door is a wall of one of the cells it joins, with the key that opens it
+            doors: this.doors.length > 0
+                ? this.doors.map(({ a, b }, door) => {
+                    const cell = this.positionOf(a);
+                    return {
+                        ...cell,
+                        direction: this.getDirection(cell, this.positionOf(b)),
+                        key: this.getKeyPosition(door)
+                    };
+                })
+                : null,
+            // Pairs of linked cells
+            teleporters: this.teleporters.length > 0
+                ? this.teleporters.map(({ a, b }) => [this.positionOf(a), this.positionOf(b)])
+                : null,
+            // Each one-way passage is the wall of a cell it can be left through
+            oneWays: this.oneWays.length > 0
+                ? this.oneWays.map(({ a, b }) => {
+                    const cell = this.positionOf(a);
+                    return { ...cell, direction: this.getDirection(cell, this.positionOf(b)) };
+                })
+                : null,
+            walls: Array.from({ length: this.floors }, (_, z) =>
+                Array.from({ length: this.height }, (_, y) =>
+                    Array.from({ length: this.topology.rowLength(y) }, (_, x) => (this.cellId(x, y, z) === -1
+                        ? null
+                        : this.getWallDirections(x, y, z).filter(direction => this.hasWall(x, y, z, direction))))))
+        };
+    }
+
+    /**
+     * Serialize to a compact URL-safe string (see Maze.fromString)
+     */
+    toString() {
+        return encodeMaze(this.toJSON());
+    }
+
+    /**
+     * Load a maze serialized with toJSON()
+     * @param {Object|string} data - Serialized maze, or its JSON text
+     * @throws {Error} if the data is malformed or the maze can't be solved
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new Error(`Invalid maze: not valid JSON (${e.message})`);
+            }
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid maze: expected an object');
+        }
+        if (!(data.version >= 1 && data.version <= FORMAT_VERSION)) {
+            throw new Error(`Unsupported maze format version: ${data.version}`);
+        }
+        if (!Object.hasOwn(topologies, data.topology)) {
+            throw new Error(`Invalid maze: unknown topology "${data.topology}"`);
+        }
+
+        const isCount = value => Number.isInteger(value) && value >= 1;
+        const floors = data.floors ?? 1;
+        if (!isCount(data.width) || !isCount(data.height) || !isCount(floors)) {
+            throw new Error('Invalid maze: width, height and floors must be positive integers');
+        }
+
+        const algorithm = data.algorithm ?? 'dfs';
+        if (!Maze.supportsAlgorithm(algorithm, data.topology)) {
+            throw new Error(`Invalid maze: algorithm "${algorithm}" can't carve ${data.topology} mazes`);
+        }
+        const braid = data.braid ?? 0;
+        if (typeof braid !== 'number' || braid < 0 || braid > 1) {
+            throw new Error('Invalid maze: braid must be a number from 0 to 1');
+        }
+
+        const wrap = data.wrap ?? false;
+        if (typeof wrap !== 'boolean') {
+            throw new Error('Invalid maze: wrap must be true or false');
+        }
+
+        const mask = data.mask ?? null;
+        if (mask !== null && (!Array.isArray(mask) || !mask.every(row => typeof row === 'string'))) {
+            throw new Error('Invalid maze: mask must be a list of text rows');
+        }
+
+        const maze = new Maze(data.width, data.height, {
+            seed: data.seed,
+            algorithm,
+            braid,
+            topology: data.topology,
+            floors,
+            wrap,
+            mask: mask && mask.map(row => [...row].map(char => char !== '.')),
+            generate: false
+        });
+        if (maze.width !== data.width || maze.height !== data.height) {
+            throw new Error('Invalid maze: mask does not match the maze dimensions');
+        }
+        maze.random = new Random(maze.seed);
+        try {
+            maze.initGrid();
+        } catch (e) {
+            throw new Error(`Invalid maze: ${e.message}`);
+        }
+
+        // Walls: one list of closed directions per cell, matching the grid's shape
+        const walls = data.walls;
+        const shapeMatches = Array.isArray(walls) && walls.length === floors &&
+            walls.every(level => Array.isArray(level) && level.length === data.height &&
+                level.every((row, y) => Array.isArray(row) && row.length === maze.topology.rowLength(y) &&
+                    row.every((closed, x) => (maze.topology.contains(x, y) ? Array.isArray(closed) : closed === null))));
+        if (!shapeMatches) {
+            throw new Error('Invalid maze: walls do not match the maze dimensions');
+        }
+        for (const id of maze.getCellIds()) {
+            const { x, y, z } = maze.positionOf(id);
+            const closed = walls[z][y][x];
+            const directions = maze.getWallDirections(x, y, z);
+            for (const direction of closed) {
+                if (!directions.includes(direction)) {
+                    throw new Error(`Invalid maze: cell (${x}, ${y}, ${z}) has no "${direction}" wall`);
+                }
+            }
+            maze.wallBits[id] = 0;
+            for (const direction of closed) {
+                maze.wallBits[id] |= maze.getWallBit({ x, y, z }, direction);
+            }
+        }
+
+        // Every open wall must lead somewhere, and agree with the cell on the other side
+        for (const id of maze.getCellIds()) {
+            const cell = maze.positionOf(id);
+            for (const direction of maze.getWallDirections(cell.x, cell.y, cell.z)) {
+                if (maze.hasWall(cell.x, cell.y, cell.z, direction)) continue;
+                const next = maze.getAdjacentPosition(cell, direction);
+                if (!next) {
+                    throw new Error(`Invalid maze: cell (${cell.x}, ${cell.y}, ${cell.z}) is open on the outer edge`);
+                }
+                if (!maze.isOpen(next, cell)) {
+                    throw new Error(`Invalid maze: walls between (${cell.x}, ${cell.y}, ${cell.z}) and (${next.x}, ${next.y}, ${next.z}) disagree`);
+                }
+            }
+        }
+
+        // Terrain: one text row per grid row and floor, like the mask
+        const terrain = data.terrain ?? null;
+        if (terrain !== null) {
+            const terrainMatches = Array.isArray(terrain) && terrain.length === floors &&
+                terrain.every(level => Array.isArray(level) && level.length === data.height &&
+                    level.every((row, y) => typeof row === 'string' && row.length === maze.topology.rowLength(y) &&
+                        [...row].every(char => TERRAIN_CHARS.includes(char))));
+            if (!terrainMatches) {
+                throw new Error('Invalid maze: terrain does not match the maze dimensions');
+            }
+            for (const id of maze.getCellIds()) {
+                const { x, y, z } = maze.positionOf(id);
+                maze.terrain[id] = TERRAIN_CHARS.indexOf(terrain[z][y][x]);
+            }
+        }
+
+        for (const name of ['start', 'goal']) {
+            const { x, y, z = 0 } = data[name] ?? {};
+            if (![x, y, z].every(Number.isInteger) || maze.cellId(x, y, z) === -1) {
+                throw new Error(`Invalid maze: ${name} is outside the maze`);
+            }
+            maze[name] = { x, y, z };
+        }
+
+        // Doors: open passages, each with its key somewhere in the maze
+        const doors = data.doors ?? null;
+        if (doors !== null && !Array.isArray(doors)) {
+            throw new Error('Invalid maze: doors must be a list');
+        }
+        for (const door of doors ?? []) {
+            const { x, y, z = 0, direction } = door ?? {};
+            const key = door?.key ?? {};
+            const keyZ = key.z ?? 0;
+            if (![x, y, z].every(Number.isInteger) || maze.cellId(x, y, z) === -1 ||
+                !maze.topology.directionsAt(x, y).includes(direction) || maze.hasWall(x, y, z, direction)) {
+                throw new Error('Invalid maze: every door must be in an open passage');
+            }
+            if (![key.x, key.y, keyZ].every(Number.isInteger) || maze.cellId(key.x, key.y, keyZ) === -1) {
+                throw new Error('Invalid maze: every door needs a key inside the maze');
+            }
+            const next = maze.getAdjacentPosition({ x, y, z }, direction);
+            maze.doors.push({ a: maze.cellId(x, y, z), b: maze.cellId(next.x, next.y, next.z) });
+            maze.keys.push(maze.cellId(key.x, key.y, keyZ));
+        }
+        maze.doorCount = maze.doors.length;
+
+        // Teleporters: pairs of distinct cells, none in more than one pair
+        const teleporters = data.teleporters ?? null;
+        if (teleporters !== null && !Array.isArray(teleporters)) {
+            throw new Error('Invalid maze: teleporters must be a list');
+        }
+        const linked = new Set();
+        for (const pair of teleporters ?? []) {
+            const ends = Array.isArray(pair) && pair.length === 2
+                ? pair.map(({ x, y, z = 0 } = {}) => ([x, y, z].every(Number.isInteger) ? maze.cellId(x, y, z) : -1))
+                : [-1];
+            if (ends.some(id => id === -1)) {
+                throw new Error('Invalid maze: every teleporter must join two cells inside the maze');
+            }
+            if (ends.some(id => id === maze.cellId(maze.start.x, maze.start.y, maze.start.z) ||
+                id === maze.cellId(maze.goal.x, maze.goal.y, maze.goal.z))) {
+                throw new Error('Invalid maze: teleporters must not be on the start or goal');
+            }
+            if (ends[0] === ends[1] || ends.some(id => linked.has(id))) {
+                throw new Error('Invalid maze: a cell can only hold one teleporter');
+            }
+            ends.forEach(id => linked.add(id));
+            maze.teleporters.push({ a: ends[0], b: ends[1] });
+        }
+        maze.teleporterCount = maze.teleporters.length;
+
+        // One-way passages: open passages between cells on one floor
+        const oneWays = data.oneWays ?? null;
+        if (oneWays !== null && !Array.isArray(oneWays)) {
+            throw new Error('Invalid maze: oneWays must be a list');
+        }
+        for (const oneWay of oneWays ?? []) {
+            const { x, y, z = 0, direction } = oneWay ?? {};
+            if (![x, y, z].every(Number.isInteger) || maze.cellId(x, y, z) === -1 ||
+                !maze.topology.directionsAt(x, y).includes(direction) || maze.hasWall(x, y, z, direction)) {
+                throw new Error('Invalid maze: every one-way passage must be an open passage');
+            }
+            const next = maze.getAdjacentPosition({ x, y, z }, direction);
+            maze.oneWays.push({ a: maze.cellId(x, y, z), b: maze.cellId(next.x, next.y, next.z) });
+        }
+        maze.oneWayCount = maze.oneWays.length;
+
+        if (!maze.isSolvable()) {
+            throw new Error('Unsolvable maze: the goal cannot be reached from the start');
+        }
+        if (!maze.isTrapFree()) {
+            throw new Error('Unsolvable maze: a one-way passage or ice leads where the goal cannot be reached');
+        }
+        return maze;
+    }
+
+    /**
+     * Load a maze serialized with toString()
+     * @throws {Error} if the string is malformed or the maze can't be solved
+     */
+    static fromString(string) {
+        return Maze.fromJSON(decodeMaze(string));
+    }
+}
+
+// Built-in generation strategies
+Maze.algorithms = {};
+Maze.registerAlgorithm('dfs', generators.backtracker, 'Backtracker');
+Maze.registerAlgorithm('prim', generators.prim, 'Prim');
+Maze.registerAlgorithm('kruskal', generators.kruskal, 'Kruskal');
+Maze.registerAlgorithm('wilson', generators.wilson, 'Wilson');
+Maze.registerAlgorithm('eller', generators.eller, 'Eller', ['square'], { masks: false });
+Maze.registerAlgorithm('growing-tree', generators.growingTree, 'Growing Tree');
+Maze.registerAlgorithm('binary-tree', generators.binaryTree, 'Binary Tree', ['square'], { masks: false });
+
+/**
+ * Opposite corners, exit on the top floor - shaped mazes may be missing
+ * their corners, so they span the shape instead
+ */
+function placeCorners(maze) {
+    if (maze.mask) return maze.getFarthestPair();
+    return [
+        { ...maze.topology.defaultStart(), z: 0 },
+        { ...maze.topology.defaultGoal(), z: maze.floors - 1 }
+    ];
+}
+
+/**
+ * Random cell on the ground floor, exit as many moves away as possible
+ */
+function placeRandomStart(maze, random) {
+    const start = maze.positionOf(random.pick(maze.getCellIds(0)));
+    return [start, maze.getFurthestCell(start)];
+}
+
+/**
+ * Corner start, exit tucked into the dead end furthest from it
+ * Falls back to the furthest cell when braiding has opened every dead end
+ */
+function placeDeepestDeadEnd(maze) {
+    const [start] = placeCorners(maze);
+    const startId = maze.cellId(start.x, start.y, start.z);
+    const goal = maze.getFurthestCell(start, id => id !== startId && maze.isDeadEndById(id)) ??
+        maze.getFurthestCell(start);
+    return [start, goal];
 }
+
+// Built-in start/goal placements
+Maze.placements = {};
+Maze.registerPlacement('corners', placeCorners, 'Corners');
+Maze.registerPlacement('farthest', maze => maze.getFarthestPair(), 'Farthest apart');
+Maze.registerPlacement('random-start', placeRandomStart, 'Random start');
+Maze.registerPlacement('dead-end', placeDeepestDeadEnd, 'Deepest dead end');
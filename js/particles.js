@@ -9,7 +9,16 @@ export class ParticleSystem {
         this.particles = [];
         this.count = 120;
         this.playerInfluenceRadius = 150; // pixels
-        this.wallProximity = 0; // 0-4 walls adjacent to player
+        this.wallProximity = 0; // 0-1 fraction of the player's cell walls that are closed
+
+        // Terrain underfoot pulls the colours toward its own hue
+        this.terrainHues = {
+            mud: { hue: 30, saturation: -25, lightness: -15 },
+            ice: { hue: 190, saturation: -10, lightness: 12 },
+            drain: { hue: 285, saturation: 0, lightness: -10 }
+        };
+        this.terrain = 'floor';
+        this.terrainBlend = 0; // 0-1, eases in and out as the player crosses terrain
 
         // Theme configuration
         this.themes = {
@@ -53,14 +62,23 @@ export class ParticleSystem {
 
     /**
      * Update all particles
-     * @param wallProximity - number of walls (0-4) adjacent to player's cell
+     * @param wallProximity - fraction (0-1) of the player's cell walls that are closed
+     * @param terrain - terrain of the player's cell (see Maze.getTerrain)
      */
-    update(currentTime, playerScreenX, playerScreenY, isConverging = false, goalScreenX = 0, goalScreenY = 0, wallProximity = 0) {
+    update(currentTime, playerScreenX, playerScreenY, isConverging = false, goalScreenX = 0, goalScreenY = 0, wallProximity = 0, terrain = 'floor') {
         const time = currentTime / 1000;
         this.wallProximity = wallProximity;
 
+        // Fade the old terrain's colours out before fading the new one in
+        if (terrain !== this.terrain) {
+            this.terrainBlend = Math.max(0, this.terrainBlend - 0.05);
+            if (this.terrainBlend === 0) this.terrain = terrain;
+        } else if (this.terrainHues[terrain]) {
+            this.terrainBlend = Math.min(1, this.terrainBlend + 0.03);
+        }
+
         // Wall proximity affects particle behavior
-        const proximityFactor = wallProximity / 4; // 0-1 normalized
+        const proximityFactor = wallProximity;
 
         for (const particle of this.particles) {
             if (isConverging) {
@@ -117,11 +135,15 @@ export class ParticleSystem {
      */
     render(ctx) {
         const theme = this.themes[this.currentTheme];
-        const proximityFactor = this.wallProximity / 4;
+        const proximityFactor = this.wallProximity;
 
         // Shift hue toward warmer colors when near walls (add orange/red tint)
         const warmShift = proximityFactor * 30;
 
+        // Terrain pulls every particle part of the way toward its hue
+        const shift = this.terrainHues[this.terrain];
+        const blend = shift ? this.terrainBlend * 0.6 : 0;
+
         for (const particle of this.particles) {
             // Firefly glow effect
             const glowRadius = particle.size * (4 + proximityFactor * 2);
@@ -131,9 +153,14 @@ export class ParticleSystem {
             );
 
             // Theme-based colors with wall proximity warm shift
-            const hue = theme.baseHue + Math.sin(particle.phase) * theme.hueRange - warmShift;
-            const sat = theme.saturation + proximityFactor * 10;
-            const light = theme.lightness + proximityFactor * 10;
+            let hue = theme.baseHue + Math.sin(particle.phase) * theme.hueRange - warmShift;
+            let sat = theme.saturation + proximityFactor * 10;
+            let light = theme.lightness + proximityFactor * 10;
+            if (blend > 0) {
+                hue += (shift.hue - hue) * blend;
+                sat += shift.saturation * blend;
+                light += shift.lightness * blend;
+            }
 
             gradient.addColorStop(0, `hsla(${hue}, ${sat}%, ${light}%, ${particle.opacity * 0.9})`);
             gradient.addColorStop(0.4, `hsla(${hue}, ${sat - 10}%, ${light - 15}%, ${particle.opacity * 0.4})`);
@@ -1,24 +1,41 @@
 /**
  * Player System — Invisible Maze
  * Handles player state, movement, trails, and animation
+ * Render positions, trails and ghosts are in layout space (see topology.js)
  */
 
 export class Player {
-    constructor(startX = 0, startY = 0) {
-        // Grid position (integer)
+    /**
+     * @param {Function} [project] - (gridX, gridY) => layout position of a cell centre
+     * @param {number} [startZ=0] - Starting floor
+     */
+    constructor(startX = 0, startY = 0, project = (x, y) => ({ x, y }), startZ = 0) {
+        this.project = project;
+
+        // Grid position (integer), gridZ is the floor
         this.gridX = startX;
         this.gridY = startY;
+        this.gridZ = startZ;
 
         // Render position (interpolated for smooth movement)
-        this.renderX = startX;
-        this.renderY = startY;
+        const startPos = this.project(startX, startY);
+        this.renderX = startPos.x;
+        this.renderY = startPos.y;
 
         // Movement state
         this.isMoving = false;
         this.moveStartTime = 0;
-        this.moveDuration = 280; // ms for one tile movement
-        this.moveFrom = { x: startX, y: startY };
-        this.moveTo = { x: startX, y: startY };
+        this.baseMoveDuration = 280; // ms for one tile movement on plain floor
+        this.moveDuration = this.baseMoveDuration; // ms for the current move (mud is slower)
+        this.moveTarget = { x: startX, y: startY, z: startZ };
+        this.renderFrom = { ...startPos };
+        this.renderTo = { ...startPos };
+
+        // Wrap state: while crossing the seam of a wrapping maze the orb
+        // fades in on the far side while an echo fades out past the edge
+        this.wrapOffset = null;
+        this.wrapEcho = null;
+        this.opacity = 1;
 
         // Bounce state (for wall collision)
         this.isBouncing = false;
@@ -26,6 +43,9 @@ export class Player {
         this.bounceDuration = 150;
         this.bounceDirection = { x: 0, y: 0 };
 
+        // Terrain underfoot, tints the trail (see Maze.getTerrain)
+        this.terrain = 'floor';
+
         // Trail system
         this.trails = [];
         this.maxTrails = 15;
@@ -41,6 +61,10 @@ export class Player {
         this.collisionCount = 0;
         this.startTime = Date.now();
 
+        // Time source for every animation, in ms - a headless simulation
+        // can swap in its own clock to run moves faster than real time
+        this.clock = () => performance.now();
+
         // Render properties
         this.baseRadius = 12;
         this.glowIntensity = 1.0;
@@ -50,39 +74,95 @@ export class Player {
 
     /**
      * Initiate movement to a new grid position
+     * @param {number} [z] - Floor to move to, the current one if omitted
+     * @param {{x: number, y: number}} [via] - Off-grid cell the move heads for when
+     *        it crosses the seam of a wrapping maze (see Maze.getMoveTargets)
      */
-    moveTo(x, y) {
+    moveTo(x, y, z = this.gridZ, via = null) {
         if (this.isMoving || this.isBouncing) return false;
 
-        // Calculate rotation angle based on direction
-        const dx = x - this.gridX;
-        const dy = y - this.gridY;
+        this.renderFrom = this.project(this.gridX, this.gridY);
+        this.renderTo = this.project(x, y);
+
+        // Crossing a seam: head for the cell past the edge, shown shifted onto the target
+        this.wrapOffset = null;
+        if (via && (via.x !== x || via.y !== y)) {
+            const exit = this.project(via.x, via.y);
+            this.wrapOffset = { x: this.renderTo.x - exit.x, y: this.renderTo.y - exit.y };
+            this.renderTo = exit;
+        }
+
+        // Calculate rotation angle based on on-screen direction
+        const dx = this.renderTo.x - this.renderFrom.x;
+        const dy = this.renderTo.y - this.renderFrom.y;
 
         if (dx !== 0 || dy !== 0) {
             this.targetRotation = Math.atan2(dy, dx);
         }
 
         this.isMoving = true;
-        this.moveStartTime = performance.now();
-        this.moveFrom = { x: this.gridX, y: this.gridY };
-        this.moveTo = { x, y };
+        this.moveStartTime = this.clock();
+        this.moveTarget = { x, y, z };
 
-        // Add ghost at current position
-        this.addGhost();
+        if (z !== this.gridZ) {
+            // Trails and ghosts belong to the floor being left
+            this.trails = [];
+            this.ghosts = [];
+        } else {
+            // Add ghost at current position
+            this.addGhost();
+        }
 
         this.moveCount++;
         return true;
     }
 
+    /**
+     * Jump straight to a cell without moving through the ones between (a teleporter)
+     * The trail breaks off: what was laid fades out quickly where it is and a
+     * fresh one starts from the arrival point
+     */
+    warpTo(x, y, z = this.gridZ) {
+        const now = this.clock();
+        this.addGhost();
+        if (z !== this.gridZ) {
+            this.trails = [];
+            this.ghosts = [];
+        } else {
+            for (const trail of this.trails) {
+                trail.lifetime = Math.min(trail.lifetime, now - trail.createdAt + 250);
+            }
+        }
+
+        const pos = this.project(x, y);
+        this.gridX = x;
+        this.gridY = y;
+        this.gridZ = z;
+        this.moveTarget = { x, y, z };
+        this.renderX = pos.x;
+        this.renderY = pos.y;
+        this.renderFrom = { ...pos };
+        this.renderTo = { ...pos };
+        this.isMoving = false;
+        this.wrapOffset = null;
+        this.wrapEcho = null;
+        this.opacity = 1;
+        this.lastTrailTime = now;
+    }
+
     /**
      * Initiate bounce animation (wall collision)
+     * @param {{x: number, y: number}} direction - Layout-space vector towards the wall
+     * @param {boolean} [isCollision=true] - False for a bump that doesn't count against
+     *        the player (a locked door)
      */
-    bounce(direction) {
+    bounce(direction, isCollision = true) {
         if (this.isBouncing) return;
 
         this.isBouncing = true;
-        this.bounceStartTime = performance.now();
+        this.bounceStartTime = this.clock();
         this.bounceDirection = direction;
+        if (!isCollision) return;
         this.collisionCount++;
 
         // Decrease glow intensity slightly on collision
@@ -101,21 +181,37 @@ export class Player {
             // Ease-out cubic for smooth deceleration
             const eased = 1 - Math.pow(1 - progress, 3);
 
-            this.renderX = this.moveFrom.x + (this.moveTo.x - this.moveFrom.x) * eased;
-            this.renderY = this.moveFrom.y + (this.moveTo.y - this.moveFrom.y) * eased;
+            this.renderX = this.renderFrom.x + (this.renderTo.x - this.renderFrom.x) * eased;
+            this.renderY = this.renderFrom.y + (this.renderTo.y - this.renderFrom.y) * eased;
+
+            if (this.wrapOffset) {
+                // The echo leaves through the edge while the orb arrives from the opposite one
+                this.wrapEcho = { x: this.renderX, y: this.renderY, opacity: 1 - eased };
+                this.renderX += this.wrapOffset.x;
+                this.renderY += this.wrapOffset.y;
+                this.opacity = eased;
+            }
 
             // Add trail points during movement
             if (currentTime - this.lastTrailTime > this.trailInterval) {
                 this.addTrail(this.renderX, this.renderY);
+                if (this.wrapEcho) {
+                    this.addTrail(this.wrapEcho.x, this.wrapEcho.y);
+                }
                 this.lastTrailTime = currentTime;
             }
 
             if (progress >= 1) {
                 this.isMoving = false;
-                this.gridX = this.moveTo.x;
-                this.gridY = this.moveTo.y;
-                this.renderX = this.gridX;
-                this.renderY = this.gridY;
+                this.gridX = this.moveTarget.x;
+                this.gridY = this.moveTarget.y;
+                this.gridZ = this.moveTarget.z;
+                const home = this.project(this.gridX, this.gridY);
+                this.renderX = home.x;
+                this.renderY = home.y;
+                this.wrapOffset = null;
+                this.wrapEcho = null;
+                this.opacity = 1;
             }
         }
 
@@ -128,13 +224,14 @@ export class Player {
             const bounceProgress = Math.sin(progress * Math.PI);
             const bounceAmount = 0.15; // 15% of a tile
 
-            this.renderX = this.gridX + this.bounceDirection.x * bounceAmount * bounceProgress;
-            this.renderY = this.gridY + this.bounceDirection.y * bounceAmount * bounceProgress;
+            const home = this.project(this.gridX, this.gridY);
+            this.renderX = home.x + this.bounceDirection.x * bounceAmount * bounceProgress;
+            this.renderY = home.y + this.bounceDirection.y * bounceAmount * bounceProgress;
 
             if (progress >= 1) {
                 this.isBouncing = false;
-                this.renderX = this.gridX;
-                this.renderY = this.gridY;
+                this.renderX = home.x;
+                this.renderY = home.y;
             }
         }
 
@@ -166,8 +263,9 @@ export class Player {
         this.trails.push({
             x,
             y,
+            terrain: this.terrain,
             opacity: 1,
-            createdAt: performance.now(),
+            createdAt: this.clock(),
             lifetime: 800 // ms
         });
 
@@ -196,7 +294,7 @@ export class Player {
             x: this.renderX,
             y: this.renderY,
             opacity: 0.6,
-            createdAt: performance.now(),
+            createdAt: this.clock(),
             lifetime: 500 // ms
         });
 
@@ -244,13 +342,21 @@ export class Player {
     /**
      * Reset player to start
      */
-    reset(startX = 0, startY = 0) {
+    reset(startX = 0, startY = 0, startZ = 0) {
+        const startPos = this.project(startX, startY);
         this.gridX = startX;
         this.gridY = startY;
-        this.renderX = startX;
-        this.renderY = startY;
+        this.gridZ = startZ;
+        this.moveTarget = { x: startX, y: startY, z: startZ };
+        this.renderX = startPos.x;
+        this.renderY = startPos.y;
         this.isMoving = false;
         this.isBouncing = false;
+        this.moveDuration = this.baseMoveDuration;
+        this.terrain = 'floor';
+        this.wrapOffset = null;
+        this.wrapEcho = null;
+        this.opacity = 1;
         this.trails = [];
         this.ghosts = [];
         this.moveCount = 0;
@@ -0,0 +1,69 @@
+/**
+ * Seeded Random — Invisible Maze
+ * Deterministic pseudo-random number generator so a maze can be replayed
+ * from its seed (mulberry32 seeded from a string hash)
+ */
+
+export class Random {
+    constructor(seed = Random.createSeed()) {
+        // Strings and numbers hash the same way, so "42" from a URL
+        // reproduces the maze generated with the number 42
+        this.seed = String(seed);
+        this.state = Random.hashSeed(this.seed);
+    }
+
+    /**
+     * Create a short random seed suitable for sharing in a URL
+     */
+    static createSeed() {
+        return Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Hash a seed string to an unsigned 32-bit integer (FNV-1a)
+     */
+    static hashSeed(seed) {
+        let hash = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
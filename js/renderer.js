@@ -4,18 +4,23 @@
  * Enhanced with start/end point visualization and time-based ambient effects
  */
 
+import { SquareTopology } from './topology.js';
+
 export class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.resize();
 
-        // Grid layout
+        // Grid layout - one layout unit is cellSize pixels
+        this.topology = new SquareTopology(20, 20);
+        this.bounds = this.topology.getBounds();
         this.cellSize = 0;
         this.offsetX = 0;
         this.offsetY = 0;
-        this.mazeWidth = 20;
-        this.mazeHeight = 20;
+        // Layout point held at the centre of the screen, or null while the whole maze fits
+        this.camera = null;
+
+        this.resize();
 
         // Animation state
         this.time = 0;
@@ -25,6 +30,26 @@ export class Renderer {
 
         // Wall memory - cells where player hit walls
         this.wallMemory = new Map();
+        // Red for walls, gold for locked doors, teal for one-way passages, violet for teleporters
+        this.memoryColors = {
+            wall: { r: 255, g: 80, b: 80 },
+            door: { r: 255, g: 200, b: 90 },
+            oneway: { r: 90, g: 220, b: 200 },
+            teleporter: { r: 190, g: 120, b: 255 }
+        };
+        // Teleporter cells the player has passed through - they stay lit for the run
+        this.teleporterMemory = new Map();
+
+        // Descent / ascent between floors
+        this.floorTransition = null;
+
+        // Trail colour per terrain - close to the plain trail, so terrain is felt more than seen
+        this.trailTints = {
+            floor: { r: 180, g: 200, b: 255 },
+            mud: { r: 190, g: 170, b: 140 },
+            ice: { r: 200, g: 240, b: 255 },
+            drain: { r: 200, g: 160, b: 230 }
+        };
 
         // Background gradient animation
         this.gradientPhase = 0;
@@ -75,35 +100,73 @@ export class Renderer {
 
     /**
      * Calculate maze layout on screen
+     * @param {Object} [topology] - Maze topology providing cell positions and bounds
      */
-    calculateLayout(mazeWidth = 20, mazeHeight = 20) {
-        this.mazeWidth = mazeWidth;
-        this.mazeHeight = mazeHeight;
+    calculateLayout(topology = this.topology) {
+        this.topology = topology;
+        this.bounds = topology.getBounds();
+        this.camera = null;
 
         const padding = 80;
         const availableWidth = this.canvas.width - padding * 2;
         const availableHeight = this.canvas.height - padding * 2;
+        const layoutWidth = this.bounds.maxX - this.bounds.minX;
+        const layoutHeight = this.bounds.maxY - this.bounds.minY;
 
         this.cellSize = Math.min(
-            availableWidth / mazeWidth,
-            availableHeight / mazeHeight
+            availableWidth / layoutWidth,
+            availableHeight / layoutHeight
         );
 
-        // Center the maze
-        const mazePixelWidth = this.cellSize * mazeWidth;
-        const mazePixelHeight = this.cellSize * mazeHeight;
+        // Center the maze (shaped mazes report the bounds of their silhouette)
+        const mazePixelWidth = this.cellSize * layoutWidth;
+        const mazePixelHeight = this.cellSize * layoutHeight;
 
         this.offsetX = (this.canvas.width - mazePixelWidth) / 2;
         this.offsetY = (this.canvas.height - mazePixelHeight) / 2;
     }
 
     /**
-     * Convert grid position to screen position
+     * Follow a point around a maze with no edges, instead of fitting the whole maze
+     * @param {Object} topology - Maze topology providing cell positions
+     * @param {{x: number, y: number}} focus - Layout point to centre on straight away
+     * @param {number} [cellsAcross=9] - Cells across the shorter side of the screen
+     */
+    followCamera(topology, focus, cellsAcross = 9) {
+        this.topology = topology;
+        this.bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        this.cellSize = Math.min(this.canvas.width, this.canvas.height) / cellsAcross;
+        this.camera = { ...focus };
+        this.updateCamera(focus.x, focus.y);
+    }
+
+    /**
+     * Ease the camera towards a layout point (does nothing while the whole maze fits)
+     */
+    updateCamera(x, y) {
+        if (!this.camera) return;
+
+        this.camera.x += (x - this.camera.x) * 0.1;
+        this.camera.y += (y - this.camera.y) * 0.1;
+        this.offsetX = this.canvas.width / 2 - this.camera.x * this.cellSize;
+        this.offsetY = this.canvas.height / 2 - this.camera.y * this.cellSize;
+    }
+
+    /**
+     * Convert grid position (cell) to screen position
      */
     gridToScreen(gridX, gridY) {
+        const pos = this.topology.toLayout(gridX, gridY);
+        return this.layoutToScreen(pos.x, pos.y);
+    }
+
+    /**
+     * Convert layout position (player, trails, ghosts) to screen position
+     */
+    layoutToScreen(layoutX, layoutY) {
         return {
-            x: this.offsetX + (gridX + 0.5) * this.cellSize,
-            y: this.offsetY + (gridY + 0.5) * this.cellSize
+            x: this.offsetX + (layoutX - this.bounds.minX) * this.cellSize,
+            y: this.offsetY + (layoutY - this.bounds.minY) * this.cellSize
         };
     }
 
@@ -351,13 +414,17 @@ export class Renderer {
 
     /**
      * Add wall memory - mark a cell where player hit a wall
+     * @param {'wall'|'door'|'oneway'} [kind='wall'] - Locked doors and one-way passages
+     *        are remembered in their own colours
      */
-    addWallMemory(gridX, gridY, direction) {
-        const key = `${gridX},${gridY},${direction}`;
+    addWallMemory(gridX, gridY, direction, gridZ = 0, kind = 'wall') {
+        const key = `${gridX},${gridY},${gridZ},${direction}`;
         this.wallMemory.set(key, {
             gridX,
             gridY,
+            gridZ,
             direction,
+            kind,
             intensity: 1.0,
             timestamp: performance.now()
         });
@@ -365,8 +432,9 @@ export class Renderer {
 
     /**
      * Render wall memory hints - subtle red pulses where walls were hit
+     * @param {number} [floor=0] - Only walls on this floor are shown
      */
-    renderWallMemory() {
+    renderWallMemory(floor = 0) {
         const currentTime = performance.now();
 
         for (const [key, memory] of this.wallMemory) {
@@ -374,54 +442,72 @@ export class Renderer {
             const age = (currentTime - memory.timestamp) / 1000;
             const fadeTime = 10;
 
-            if (age > fadeTime) {
+            // A wall that moved breaks up and fades out within a second
+            const dissolve = memory.dissolveStart === undefined
+                ? 0
+                : (currentTime - memory.dissolveStart) / 1000;
+
+            if (age > fadeTime || dissolve >= 1) {
                 this.wallMemory.delete(key);
                 continue;
             }
+            if (memory.gridZ !== floor) continue;
 
-            const opacity = (1 - age / fadeTime) * 0.3;
-            const pos = this.gridToScreen(memory.gridX, memory.gridY);
-            const halfCell = this.cellSize / 2;
-
-            // Determine wall position based on direction
-            let wallX = pos.x;
-            let wallY = pos.y;
-            let width = this.cellSize * 0.1;
-            let height = this.cellSize;
-
-            switch (memory.direction) {
-                case 'n':
-                    wallY = pos.y - halfCell;
-                    width = this.cellSize;
-                    height = this.cellSize * 0.1;
-                    break;
-                case 's':
-                    wallY = pos.y + halfCell;
-                    width = this.cellSize;
-                    height = this.cellSize * 0.1;
-                    break;
-                case 'w':
-                    wallX = pos.x - halfCell;
-                    break;
-                case 'e':
-                    wallX = pos.x + halfCell;
-                    break;
-            }
+            const opacity = (1 - age / fadeTime) * 0.3 * (1 - dissolve);
+            const radius = this.cellSize * 0.5 * (1 + dissolve);
+            const { r, g, b } = this.memoryColors[memory.kind];
+
+            // Glow sits at the middle of the wall that was hit
+            const { x: wallX, y: wallY } = this.getWallPosition(memory.gridX, memory.gridY, memory.direction);
 
             // Subtle pulsing glow
             const pulse = 0.7 + Math.sin(currentTime / 500) * 0.3;
 
             const gradient = this.ctx.createRadialGradient(
                 wallX, wallY, 0,
-                wallX, wallY, this.cellSize * 0.5
+                wallX, wallY, radius
             );
-            gradient.addColorStop(0, `rgba(255, 80, 80, ${opacity * pulse})`);
-            gradient.addColorStop(1, 'rgba(255, 80, 80, 0)');
+            gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${opacity * pulse})`);
+            gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
 
             this.ctx.fillStyle = gradient;
             this.ctx.beginPath();
-            this.ctx.arc(wallX, wallY, this.cellSize * 0.5, 0, Math.PI * 2);
+            this.ctx.arc(wallX, wallY, radius, 0, Math.PI * 2);
             this.ctx.fill();
+
+            // Faint trace along the wall itself (curved on polar rings)
+            const wall = this.topology.getWallSegment(memory.gridX, memory.gridY, memory.direction);
+            this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${opacity * pulse * 0.8})`;
+            this.ctx.lineWidth = 2;
+            // Gaps open up along a dissolving wall
+            this.ctx.setLineDash(dissolve > 0 ? [6 * (1 - dissolve) + 1, 12 * dissolve] : []);
+            this.ctx.beginPath();
+            if (wall.arc) {
+                const centre = this.layoutToScreen(0, 0);
+                this.ctx.arc(centre.x, centre.y, wall.arc.radius * this.cellSize,
+                    wall.arc.startAngle, wall.arc.endAngle);
+            } else {
+                const start = this.layoutToScreen(wall.x1, wall.y1);
+                const end = this.layoutToScreen(wall.x2, wall.y2);
+                this.ctx.moveTo(start.x, start.y);
+                this.ctx.lineTo(end.x, end.y);
+            }
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Dissolve the memory of walls that have moved
+     * @param {Array<{x: number, y: number, z: number, direction: string}>} walls - As returned by Maze.shift()
+     */
+    dissolveWallMemory(walls) {
+        const now = performance.now();
+        for (const { x, y, z, direction } of walls) {
+            const memory = this.wallMemory.get(`${x},${y},${z},${direction}`);
+            if (memory) {
+                memory.dissolveStart ??= now;
+            }
         }
     }
 
@@ -430,23 +516,182 @@ export class Renderer {
      */
     clearWallMemory() {
         this.wallMemory.clear();
+        this.teleporterMemory.clear();
     }
 
     /**
-     * Render player trails
+     * Remember a teleporter cell once it has been used
+     */
+    addTeleporterMemory(gridX, gridY, gridZ = 0) {
+        this.teleporterMemory.set(`${gridX},${gridY},${gridZ}`, {
+            gridX,
+            gridY,
+            gridZ,
+            timestamp: performance.now()
+        });
+    }
+
+    /**
+     * Render remembered teleporters - a faint violet swirl that flares up
+     * when first found and settles to a slow pulse
+     * @param {number} [floor=0] - Only teleporters on this floor are shown
+     */
+    renderTeleporterMemory(floor = 0) {
+        const currentTime = performance.now();
+        const { r, g, b } = this.memoryColors.teleporter;
+
+        for (const memory of this.teleporterMemory.values()) {
+            if (memory.gridZ !== floor) continue;
+
+            const pos = this.gridToScreen(memory.gridX, memory.gridY);
+            const flare = Math.max(0, 1 - (currentTime - memory.timestamp) / 1500);
+            const pulse = 0.7 + Math.sin(currentTime / 700) * 0.3;
+            const opacity = 0.2 * pulse + 0.5 * flare;
+            const radius = this.cellSize * 0.45;
+
+            const gradient = this.ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, radius);
+            gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${opacity})`);
+            gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            // A thin ring turning slowly, drawn as two opposite arcs
+            const turn = currentTime / 1200;
+            this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${opacity * 0.8})`;
+            this.ctx.lineWidth = 1.5;
+            for (const offset of [0, Math.PI]) {
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, radius * 0.55, turn + offset, turn + offset + Math.PI * 0.6);
+                this.ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * Render a key waiting to be picked up - a small gold diamond turning
+     * slowly inside a faint glow
+     */
+    renderKey(gridX, gridY) {
+        const pos = this.gridToScreen(gridX, gridY);
+        const time = performance.now() / 1000;
+        const { r, g, b } = this.memoryColors.door;
+        const size = this.cellSize * 0.15;
+        const breathe = 0.7 + Math.sin(time * 2) * 0.3;
+
+        this.ctx.save();
+        this.ctx.translate(pos.x, pos.y);
+
+        const glow = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size * 3);
+        glow.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${0.3 * breathe})`);
+        glow.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+        this.ctx.fillStyle = glow;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, size * 3, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        // Squashing the width with a cosine makes the diamond seem to spin
+        this.ctx.scale(Math.cos(time * 1.5), 1);
+        this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${0.6 + 0.3 * breathe})`;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, -size);
+        this.ctx.lineTo(size * 0.6, 0);
+        this.ctx.lineTo(0, size);
+        this.ctx.lineTo(-size * 0.6, 0);
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Render a stairwell under the player - rings rising out of the floor
+     * or sinking into it
+     * @param {'up'|'down'} direction
+     */
+    renderStairwell(gridX, gridY, direction) {
+        const pos = this.gridToScreen(gridX, gridY);
+        const time = performance.now() / 1000;
+        const c = this.themes[this.currentTheme].orb;
+        const maxRadius = this.cellSize * 0.45;
+
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        for (let i = 0; i < 3; i++) {
+            // Rings grow for a way up and shrink for a way down
+            const phase = (time * 0.8 + i / 3) % 1;
+            const t = direction === 'up' ? phase : 1 - phase;
+            const opacity = Math.sin(phase * Math.PI) * 0.35;
+
+            this.ctx.strokeStyle = `rgba(${c.r}, ${c.g}, ${c.b}, ${opacity})`;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 4 + t * maxRadius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Start the descent or ascent animation when changing floors
+     * @param {'up'|'down'} direction
+     * @param {number} duration - ms, the floor swaps over halfway through
+     */
+    startFloorTransition(direction, duration) {
+        this.floorTransition = { direction, duration, startTime: performance.now() };
+    }
+
+    /**
+     * Render the floor transition - a veil that closes over the old floor
+     * and opens onto the new one, with rings rushing past the player
+     */
+    renderFloorTransition(playerX, playerY) {
+        if (!this.floorTransition) return;
+
+        const { direction, duration, startTime } = this.floorTransition;
+        const progress = (performance.now() - startTime) / duration;
+        if (progress >= 1) {
+            this.floorTransition = null;
+            return;
+        }
+
+        const veil = Math.sin(progress * Math.PI);
+        const bg = this.themes[this.currentTheme].bg;
+        this.ctx.fillStyle = `rgba(${bg.r2}, ${bg.g2}, ${bg.b2}, ${veil * 0.85})`;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Descending, rings close in on the player; ascending, they fly outward
+        const c = this.themes[this.currentTheme].orb;
+        const maxRadius = Math.max(this.canvas.width, this.canvas.height) * 0.6;
+        this.ctx.save();
+        this.ctx.lineWidth = 2;
+        for (let i = 0; i < 4; i++) {
+            const phase = (progress * 2 + i / 4) % 1;
+            const t = direction === 'up' ? phase : 1 - phase;
+            this.ctx.strokeStyle = `rgba(${c.r}, ${c.g}, ${c.b}, ${veil * (1 - t) * 0.5})`;
+            this.ctx.beginPath();
+            this.ctx.arc(playerX, playerY, 10 + t * maxRadius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Render player trails, faintly tinted by the terrain they cross
      */
     renderTrails(trails) {
         for (const trail of trails) {
-            const pos = this.gridToScreen(trail.x, trail.y);
+            const pos = this.layoutToScreen(trail.x, trail.y);
             const radius = 8 * trail.opacity;
+            const { r, g, b } = this.trailTints[trail.terrain] ?? this.trailTints.floor;
 
             const gradient = this.ctx.createRadialGradient(
                 pos.x, pos.y, 0,
                 pos.x, pos.y, radius * 2
             );
 
-            gradient.addColorStop(0, `rgba(180, 200, 255, ${trail.opacity * 0.5})`);
-            gradient.addColorStop(1, 'rgba(180, 200, 255, 0)');
+            gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${trail.opacity * 0.5})`);
+            gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
 
             this.ctx.fillStyle = gradient;
             this.ctx.beginPath();
@@ -460,7 +705,7 @@ export class Renderer {
      */
     renderGhosts(ghosts) {
         for (const ghost of ghosts) {
-            const pos = this.gridToScreen(ghost.x, ghost.y);
+            const pos = this.layoutToScreen(ghost.x, ghost.y);
             const radius = 12;
 
             const gradient = this.ctx.createRadialGradient(
@@ -484,12 +729,14 @@ export class Renderer {
      */
     /**
      * Render the player character based on theme
+     * @param {number} [opacity=1] - Fades the character while it wraps across an edge
      */
-    renderPlayer(renderX, renderY, glowIntensity, energy = 1, rotationAngle = 0) {
-        const pos = this.gridToScreen(renderX, renderY);
+    renderPlayer(renderX, renderY, glowIntensity, energy = 1, rotationAngle = 0, opacity = 1) {
+        const pos = this.layoutToScreen(renderX, renderY);
         const color = this.themes[this.currentTheme].orb;
 
         this.ctx.save();
+        this.ctx.globalAlpha = opacity;
         this.ctx.translate(pos.x, pos.y);
 
         // Character rendering based on theme
@@ -672,16 +919,19 @@ export class Renderer {
 
     /**
      * Get collision wall position for flash effect
+     * @returns {{x: number, y: number, length: number, angle: number, direction: string}}
+     *          screen-space wall midpoint, length and rotation
      */
     getWallPosition(gridX, gridY, direction) {
-        const screenPos = this.gridToScreen(gridX, gridY);
-        const halfCell = this.cellSize / 2;
+        const wall = this.topology.getWallSegment(gridX, gridY, direction);
+        const start = this.layoutToScreen(wall.x1, wall.y1);
+        const end = this.layoutToScreen(wall.x2, wall.y2);
 
         return {
-            x: screenPos.x - halfCell,
-            y: screenPos.y - halfCell,
-            width: this.cellSize,
-            height: this.cellSize,
+            x: (start.x + end.x) / 2,
+            y: (start.y + end.y) / 2,
+            length: Math.hypot(end.x - start.x, end.y - start.y),
+            angle: Math.atan2(end.y - start.y, end.x - start.x),
             direction
         };
     }
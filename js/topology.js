@@ -0,0 +1,568 @@
+/**
+ * Maze Topologies — Invisible Maze
+ * Describes how cells connect (directions, neighbours) and where they sit
+ * on screen. Layout coordinates are in cell units; the renderer scales them.
+ */
+
+/**
+ * Square lattice - four walls per cell (North, East, South, West)
+ */
+export class SquareTopology {
+    constructor(width, height) {
+        this.name = 'square';
+        this.width = width;
+        this.height = height;
+        this.directions = ['n', 'e', 's', 'w'];
+        this.offsets = {
+            n: { x: 0, y: -1 },
+            e: { x: 1, y: 0 },
+            s: { x: 0, y: 1 },
+            w: { x: -1, y: 0 }
+        };
+
+        // Move actions (see bindings.js) to directions
+        this.actions = {
+            'move-n': 'n',
+            'move-e': 'e',
+            'move-s': 's',
+            'move-w': 'w'
+        };
+        this.inputHint = 'Arrow keys or WASD to navigate';
+    }
+
+    /**
+     * Check if a position is a cell of this lattice
+     */
+    contains(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * Number of cells in a row of the grid
+     */
+    rowLength() {
+        return this.width;
+    }
+
+    /**
+     * Directions a cell has walls in
+     */
+    directionsAt() {
+        return this.directions;
+    }
+
+    /**
+     * Concrete wall directions an input direction may pass through
+     */
+    expandDirection(x, y, direction) {
+        return this.directionsAt(x, y).includes(direction) ? [direction] : [];
+    }
+
+    /**
+     * Default start cell
+     */
+    defaultStart() {
+        return { x: 0, y: 0 };
+    }
+
+    /**
+     * Default goal cell
+     */
+    defaultGoal() {
+        return { x: this.width - 1, y: this.height - 1 };
+    }
+
+    /**
+     * Step offsets for the cells of a column
+     */
+    offsetsAt() {
+        return this.offsets;
+    }
+
+    /**
+     * Position one step away, whether or not it is inside the grid
+     */
+    step(x, y, direction) {
+        const offset = this.offsetsAt(x)[direction];
+        return { x: x + offset.x, y: y + offset.y };
+    }
+
+    /**
+     * Neighbouring cell position in a direction, or null at the edge
+     */
+    neighbor(x, y, direction) {
+        if (!this.offsets[direction]) return null;
+        const next = this.step(x, y, direction);
+        return this.contains(next.x, next.y) ? next : null;
+    }
+
+    /**
+     * Neighbour in a direction as seen from this cell - off the grid where a
+     * wrapping maze crosses its seam, otherwise the same as neighbor()
+     */
+    unwrappedNeighbor(x, y, direction) {
+        return this.neighbor(x, y, direction);
+    }
+
+    /**
+     * Neighbour table for compact storage (see Maze.initGrid): entry
+     * `slot * stride + i` is the slot across wall directionsAt(x, y)[i],
+     * or -1 off the edge. Slots number the cells row by row from 0
+     * Worked out with offsets rather than neighbor() so large grids link quickly
+     * @param {Int32Array} rowStarts - Slot of the first cell of each row
+     * @param {number} stride - Entries per cell, at least the most walls a cell has
+     */
+    linkSlots(rowStarts, stride) {
+        const { width, height } = this;
+        const links = new Int32Array(rowStarts[height] * stride).fill(-1);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!this.contains(x, y)) continue;
+                const offsets = this.offsetsAt(x);
+                const directions = this.directionsAt(x, y);
+                for (let i = 0; i < directions.length; i++) {
+                    const offset = offsets[directions[i]];
+                    let nx = x + offset.x;
+                    let ny = y + offset.y;
+                    // Wrapping grids (see applyWrap) join opposite edges
+                    if (this.wrap) {
+                        nx = (nx + width) % width;
+                        ny = (ny + height) % height;
+                    }
+                    if (this.contains(nx, ny)) {
+                        links[(rowStarts[y] + x) * stride + i] = rowStarts[ny] + nx;
+                    }
+                }
+            }
+        }
+        return links;
+    }
+
+    /**
+     * Direction from cell a to an adjacent cell b
+     */
+    getDirection(a, b) {
+        return this.directionsAt(a.x, a.y).find(direction => {
+            const next = this.neighbor(a.x, a.y, direction);
+            return next !== null && next.x === b.x && next.y === b.y;
+        }) ?? null;
+    }
+
+    /**
+     * Fewest steps between two cells with every wall removed
+     */
+    distance(a, b) {
+        return Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+    }
+
+    /**
+     * Cell centre in layout coordinates
+     */
+    toLayout(x, y) {
+        return { x, y };
+    }
+
+    /**
+     * Layout-space bounding box of the whole maze
+     */
+    getBounds() {
+        return { minX: -0.5, minY: -0.5, maxX: this.width - 0.5, maxY: this.height - 0.5 };
+    }
+
+    /**
+     * End points of a cell wall in layout coordinates (curved walls also carry `arc`)
+     */
+    getWallSegment(x, y, direction) {
+        const { x: cx, y: cy } = this.toLayout(x, y);
+        switch (direction) {
+            case 'n': return { x1: cx - 0.5, y1: cy - 0.5, x2: cx + 0.5, y2: cy - 0.5 };
+            case 'e': return { x1: cx + 0.5, y1: cy - 0.5, x2: cx + 0.5, y2: cy + 0.5 };
+            case 's': return { x1: cx - 0.5, y1: cy + 0.5, x2: cx + 0.5, y2: cy + 0.5 };
+            case 'w': return { x1: cx - 0.5, y1: cy - 0.5, x2: cx - 0.5, y2: cy + 0.5 };
+            default: return { x1: cx, y1: cy, x2: cx, y2: cy };
+        }
+    }
+
+    /**
+     * Unit-ish vector from a cell centre towards one of its walls
+     */
+    getWallNormal(x, y, direction) {
+        const centre = this.toLayout(x, y);
+        const wall = this.getWallSegment(x, y, direction);
+        return {
+            x: ((wall.x1 + wall.x2) / 2 - centre.x) * 2,
+            y: ((wall.y1 + wall.y2) / 2 - centre.y) * 2
+        };
+    }
+
+    /**
+     * Direction of a cell best matching a screen-space vector (for buttons and swipes)
+     */
+    directionFromVector(x, y, vx, vy) {
+        let best = null;
+        let bestDot = -Infinity;
+        for (const direction of this.directionsAt(x, y)) {
+            const normal = this.getWallNormal(x, y, direction);
+            const dot = (normal.x * vx + normal.y * vy) / Math.hypot(normal.x, normal.y);
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = direction;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Hexagonal lattice - six walls per cell
+ * Flat-topped hexes in columns, odd columns shifted half a cell down
+ */
+export class HexTopology extends SquareTopology {
+    constructor(width, height) {
+        super(width, height);
+        this.name = 'hex';
+        this.directions = ['n', 'ne', 'se', 's', 'sw', 'nw'];
+
+        // Offsets depend on column parity
+        this.evenOffsets = {
+            n: { x: 0, y: -1 }, ne: { x: 1, y: -1 }, se: { x: 1, y: 0 },
+            s: { x: 0, y: 1 }, sw: { x: -1, y: 0 }, nw: { x: -1, y: -1 }
+        };
+        this.oddOffsets = {
+            n: { x: 0, y: -1 }, ne: { x: 1, y: 0 }, se: { x: 1, y: 1 },
+            s: { x: 0, y: 1 }, sw: { x: -1, y: 1 }, nw: { x: -1, y: 0 }
+        };
+        this.offsets = this.evenOffsets;
+
+        // Corner angles (degrees, y down) bounding each wall
+        this.wallAngles = {
+            n: [-120, -60], ne: [-60, 0], se: [0, 60],
+            s: [60, 120], sw: [120, 180], nw: [180, 240]
+        };
+
+        // Circumradius for hexes one unit tall (flat side to flat side)
+        this.radius = 1 / Math.sqrt(3);
+
+        // Left and right take the lower diagonals, so Q W E / A S D lay out the six walls
+        this.actions = {
+            'move-n': 'n',
+            'move-ne': 'ne',
+            'move-e': 'se',
+            'move-s': 's',
+            'move-w': 'sw',
+            'move-nw': 'nw'
+        };
+        this.inputHint = 'Q W E / A S D to navigate, arrows for north and south';
+    }
+
+    offsetsAt(x) {
+        return x & 1 ? this.oddOffsets : this.evenOffsets;
+    }
+
+    distance(a, b) {
+        // Convert offset columns to axial coordinates
+        const toAxial = ({ x, y }) => ({ q: x, r: y - (x - (x & 1)) / 2 });
+        const from = toAxial(a);
+        const to = toAxial(b);
+        const dq = to.q - from.q;
+        const dr = to.r - from.r;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
+    toLayout(x, y) {
+        return {
+            x: x * this.radius * 1.5,
+            y: y + (x & 1 ? 0.5 : 0)
+        };
+    }
+
+    getBounds() {
+        return {
+            minX: -this.radius,
+            minY: -0.5,
+            maxX: (this.width - 1) * this.radius * 1.5 + this.radius,
+            maxY: this.height - 0.5 + (this.width > 1 ? 0.5 : 0)
+        };
+    }
+
+    getWallSegment(x, y, direction) {
+        const { x: cx, y: cy } = this.toLayout(x, y);
+        const angles = this.wallAngles[direction];
+        if (!angles) return { x1: cx, y1: cy, x2: cx, y2: cy };
+
+        const [a1, a2] = angles.map(a => a * Math.PI / 180);
+        return {
+            x1: cx + Math.cos(a1) * this.radius,
+            y1: cy + Math.sin(a1) * this.radius,
+            x2: cx + Math.cos(a2) * this.radius,
+            y2: cy + Math.sin(a2) * this.radius
+        };
+    }
+}
+
+/**
+ * Polar lattice - concentric rings around a single centre cell
+ * Cells are (x = index around the ring, y = ring). Rings split in two
+ * when their cells get too wide, so a cell may have two outward walls
+ * ('out' and 'out2'); the centre has one outward wall per ring-1 cell.
+ * The height is the ring count; the width is unused.
+ */
+export class PolarTopology extends SquareTopology {
+    constructor(width, height) {
+        super(width, height);
+        this.name = 'polar';
+        this.rings = height;
+        this.directions = ['in', 'out', 'cw', 'ccw'];
+
+        // Cells per ring
+        this.counts = [1];
+        for (let ring = 1; ring < this.rings; ring++) {
+            if (ring === 1) {
+                this.counts.push(6);
+            } else {
+                const previous = this.counts[ring - 1];
+                const cellWidth = (2 * Math.PI * ring) / previous;
+                this.counts.push(cellWidth > 1.5 ? previous * 2 : previous);
+            }
+        }
+        this.width = Math.max(...this.counts);
+
+        this.actions = {
+            'move-n': 'out',
+            'move-e': 'cw',
+            'move-s': 'in',
+            'move-w': 'ccw'
+        };
+        this.inputHint = 'Up / Down to move out and in, Left / Right to circle';
+    }
+
+    contains(x, y) {
+        return y >= 0 && y < this.rings && x >= 0 && x < this.counts[y];
+    }
+
+    rowLength(y) {
+        return this.counts[y];
+    }
+
+    /**
+     * Outward walls of a cell, one per cell it borders in the next ring
+     */
+    outwardDirections(x, y) {
+        const children = y + 1 < this.rings ? this.counts[y + 1] / this.counts[y] : 1;
+        return Array.from({ length: children }, (_, i) => (i === 0 ? 'out' : `out${i + 1}`));
+    }
+
+    directionsAt(x, y) {
+        const outward = this.outwardDirections(x, y);
+        return y === 0 ? outward : ['in', 'cw', 'ccw', ...outward];
+    }
+
+    expandDirection(x, y, direction) {
+        // 'out' may lead through any of the outward walls
+        if (direction === 'out') {
+            return this.outwardDirections(x, y);
+        }
+        return super.expandDirection(x, y, direction);
+    }
+
+    linkSlots(rowStarts, stride) {
+        // Rings don't share offsets, so follow neighbor() for each wall
+        const links = new Int32Array(rowStarts[this.height] * stride).fill(-1);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.rowLength(y); x++) {
+                if (!this.contains(x, y)) continue;
+                this.directionsAt(x, y).forEach((direction, i) => {
+                    const next = this.neighbor(x, y, direction);
+                    if (next) links[(rowStarts[y] + x) * stride + i] = rowStarts[next.y] + next.x;
+                });
+            }
+        }
+        return links;
+    }
+
+    neighbor(x, y, direction) {
+        if (!this.contains(x, y)) return null;
+        const count = this.counts[y];
+
+        if (direction === 'in') {
+            if (y === 0) return null;
+            return { x: Math.floor(x / (count / this.counts[y - 1])), y: y - 1 };
+        }
+        if (direction === 'cw' || direction === 'ccw') {
+            if (y === 0) return null;
+            const step = direction === 'cw' ? 1 : -1;
+            return { x: (x + step + count) % count, y };
+        }
+
+        const outward = this.outwardDirections(x, y);
+        const index = outward.indexOf(direction);
+        if (index === -1 || y + 1 >= this.rings) return null;
+        return { x: x * outward.length + index, y: y + 1 };
+    }
+
+    distance(a, b) {
+        // Every ring crossed costs at least one move
+        return Math.abs(b.y - a.y);
+    }
+
+    /**
+     * Angle (radians, y down) of a cell edge around its ring
+     */
+    edgeAngle(x, y) {
+        return (x / this.counts[y]) * Math.PI * 2 - Math.PI / 2;
+    }
+
+    toLayout(x, y) {
+        if (y === 0) return { x: 0, y: 0 };
+        const angle = this.edgeAngle(x + 0.5, y);
+        return { x: Math.cos(angle) * y, y: Math.sin(angle) * y };
+    }
+
+    getBounds() {
+        const radius = this.rings - 0.5;
+        return { minX: -radius, minY: -radius, maxX: radius, maxY: radius };
+    }
+
+    defaultGoal() {
+        // Exit on the rim
+        return { x: 0, y: this.rings - 1 };
+    }
+
+    getWallSegment(x, y, direction) {
+        // Arcs keep their chord endpoints, plus the arc itself for curved drawing
+        const arc = (radius, a1, a2) => ({
+            x1: Math.cos(a1) * radius, y1: Math.sin(a1) * radius,
+            x2: Math.cos(a2) * radius, y2: Math.sin(a2) * radius,
+            arc: { radius, startAngle: a1, endAngle: a2 }
+        });
+        const radial = (angle) => ({
+            x1: Math.cos(angle) * (y - 0.5), y1: Math.sin(angle) * (y - 0.5),
+            x2: Math.cos(angle) * (y + 0.5), y2: Math.sin(angle) * (y + 0.5)
+        });
+
+        switch (direction) {
+            case 'in':
+                return arc(y - 0.5, this.edgeAngle(x, y), this.edgeAngle(x + 1, y));
+            case 'cw':
+                return radial(this.edgeAngle(x + 1, y));
+            case 'ccw':
+                return radial(this.edgeAngle(x, y));
+        }
+
+        // Outward walls follow the cell beyond them (or this cell on the rim)
+        const next = this.neighbor(x, y, direction);
+        if (next) {
+            return arc(y + 0.5, this.edgeAngle(next.x, next.y), this.edgeAngle(next.x + 1, next.y));
+        }
+        return arc(y + 0.5, this.edgeAngle(x, y), this.edgeAngle(x + 1, y));
+    }
+}
+
+/**
+ * Available topologies by name
+ */
+export const topologies = {
+    square: { label: 'Square', create: (width, height) => new SquareTopology(width, height) },
+    hex: { label: 'Hex', create: (width, height) => new HexTopology(width, height) },
+    polar: { label: 'Circular', create: (width, height) => new PolarTopology(width, height) }
+};
+
+/**
+ * Create a topology by name
+ */
+export function createTopology(name, width, height) {
+    const topology = Object.hasOwn(topologies, name) ? topologies[name] : null;
+    if (!topology) {
+        throw new Error(`Unknown maze topology: ${name}`);
+    }
+    return topology.create(width, height);
+}
+
+/**
+ * Join opposite edges of a square or hex topology, making it a torus
+ * Walking off the east edge arrives on the west edge, and north on south
+ */
+export function applyWrap(topology) {
+    if (topology.name === 'polar') {
+        throw new Error('Polar mazes cannot wrap');
+    }
+    if (topology.width < 3 || topology.height < 3) {
+        throw new Error('Wrapping mazes must be at least 3 cells wide and tall');
+    }
+    // Odd hex columns are shifted, so the seam only lines up with an even column count
+    if (topology.name === 'hex' && topology.width % 2 !== 0) {
+        throw new Error('Wrapping hex mazes need an even width');
+    }
+
+    const { width, height } = topology;
+    const wrapped = Object.create(topology);
+    wrapped.wrap = true;
+
+    wrapped.neighbor = (x, y, direction) => {
+        const next = wrapped.unwrappedNeighbor(x, y, direction);
+        return next && { x: (next.x + width) % width, y: (next.y + height) % height };
+    };
+
+    wrapped.unwrappedNeighbor = (x, y, direction) => {
+        if (!wrapped.contains(x, y) || !topology.directionsAt(x, y).includes(direction)) return null;
+        return topology.step(x, y, direction);
+    };
+
+    wrapped.distance = (a, b) => {
+        // Shortest way round, trying the copies of b on every side
+        let shortest = Infinity;
+        for (const dx of [-width, 0, width]) {
+            for (const dy of [-height, 0, height]) {
+                shortest = Math.min(shortest, topology.distance(a, { x: b.x + dx, y: b.y + dy }));
+            }
+        }
+        return shortest;
+    };
+
+    // The corners touch across the seams, so aim for the middle instead
+    wrapped.defaultGoal = () => ({ x: Math.floor(width / 2), y: Math.floor(height / 2) });
+
+    return wrapped;
+}
+
+/**
+ * Restrict a topology to the cells of a mask (mask[y][x] true = in the maze)
+ * Masked-out cells behave like the outside of the grid, and the bounds
+ * shrink to the shape so the renderer centres it
+ */
+export function applyMask(topology, mask) {
+    const masked = Object.create(topology);
+    masked.mask = mask;
+
+    masked.contains = (x, y) => topology.contains(x, y) && Boolean(mask[y]?.[x]);
+
+    masked.neighbor = (x, y, direction) => {
+        const next = topology.neighbor.call(masked, x, y, direction);
+        return next && masked.contains(next.x, next.y) ? next : null;
+    };
+
+    masked.unwrappedNeighbor = (x, y, direction) => {
+        const next = topology.unwrappedNeighbor.call(masked, x, y, direction);
+        return next && masked.neighbor(x, y, direction) ? next : null;
+    };
+
+    masked.getBounds = () => {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (let y = 0; y < topology.height; y++) {
+            for (let x = 0; x < topology.rowLength(y); x++) {
+                if (!masked.contains(x, y)) continue;
+                // Wall end points trace the outline of every cell
+                for (const direction of topology.directionsAt(x, y)) {
+                    const { x1, y1, x2, y2 } = topology.getWallSegment(x, y, direction);
+                    bounds.minX = Math.min(bounds.minX, x1, x2);
+                    bounds.minY = Math.min(bounds.minY, y1, y2);
+                    bounds.maxX = Math.max(bounds.maxX, x1, x2);
+                    bounds.maxY = Math.max(bounds.maxY, y1, y2);
+                }
+            }
+        }
+        return Number.isFinite(bounds.minX) ? bounds : topology.getBounds();
+    };
+
+    return masked;
+}
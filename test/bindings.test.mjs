@@ -0,0 +1,20 @@
+/**
+ * Key binding tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bindings } from '../js/bindings.js';
+
+test('keys are bound by where they sit, whatever they type', () => {
+    const bindings = new Bindings({ storage: null });
+    // On AZERTY the key where W sits types Z
+    bindings.learnLabel('KeyW', 'z');
+
+    assert.equal(bindings.getAction('KeyW'), 'move-n');
+    assert.equal(bindings.getAction('KeyZ'), null);
+    assert.equal(bindings.describeKey('KeyW'), 'Z');
+    assert.equal(bindings.describeKey('KeyD'), 'D');
+    assert.equal(bindings.describeKey('ArrowUp'), '↑');
+});
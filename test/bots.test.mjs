@@ -0,0 +1,37 @@
+/**
+ * Bot benchmark tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmark, simulateRun } from '../js/bots.js';
+import { Maze } from '../js/maze.js';
+import { DEFAULT_RULES } from '../js/engine.js';
+
+test('benchmark collisions match the collision events of its runs', () => {
+    let events = 0;
+    const runs = 6;
+    const [row] = benchmark({
+        kinds: ['random'],
+        runs,
+        seed: 'collisions',
+        listeners: { collision: () => events++ }
+    });
+
+    assert.ok(events > 0);
+    assert.equal(Math.round(row.collisions.mean * runs), events);
+});
+
+test('a run lost to energy took just enough collisions to drain it', () => {
+    const { energyLossPerCollision } = DEFAULT_RULES;
+    for (let run = 0; run < 20; run++) {
+        const result = simulateRun('random', new Maze(10, 10, { seed: `drain:${run}` }), { rules: { timeLimit: 10000 } });
+        if (result.reason !== 'energy') continue;
+
+        // Drain zones only exist with terrain, so walls took all of it
+        assert.equal(result.collisions, Math.ceil(1 / energyLossPerCollision - 1e-9));
+        return;
+    }
+    assert.fail('no run was lost to energy');
+});
@@ -0,0 +1,30 @@
+/**
+ * Difficulty director tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Director, DEFAULT_SETTINGS } from '../js/director.js';
+
+/**
+ * A Map-backed stand-in for localStorage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const won = (moves, collisions) => ({
+    won: true, reason: null, moves, collisions, optimal: moves / 2, time: 90, settings: { ...DEFAULT_SETTINGS }
+});
+
+test('one hit in eight moves is not heavy enough to soften the walls', () => {
+    const director = new Director({ storage: memoryStorage() });
+    director.record(won(80, 10));
+
+    assert.equal(director.recommend().settings.energyLossPerCollision, DEFAULT_SETTINGS.energyLossPerCollision);
+});
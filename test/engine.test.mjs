@@ -0,0 +1,65 @@
+/**
+ * Engine tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Maze } from '../js/maze.js';
+import { Engine } from '../js/engine.js';
+import { Player } from '../js/player.js';
+
+/**
+ * A run on a small maze with a virtual clock, its solution path, and a way
+ * to let time pass until the player is free with nothing left buffered
+ */
+function setup(bufferSize) {
+    let now = 0;
+    const maze = new Maze(8, 8, { seed: 'buffer' });
+    const player = new Player(maze.start.x, maze.start.y, (x, y) => maze.topology.toLayout(x, y), maze.start.z);
+    player.clock = () => now;
+    const engine = new Engine(maze, player, {}, { bufferSize });
+    const settle = () => {
+        while (!player.canAcceptInput() || engine.queue.length > 0) {
+            now += 16;
+            engine.update(now);
+        }
+    };
+    return { maze, player, engine, path: maze.findPath(), settle };
+}
+
+const at = ({ gridX, gridY, gridZ }) => ({ x: gridX, y: gridY, z: gridZ });
+
+test('moves sent mid-move are made once the player lands', () => {
+    const { maze, player, engine, path, settle } = setup(2);
+    assert.equal(engine.send(maze.getDirection(path[0], path[1])), 'moved');
+    assert.equal(engine.send(maze.getDirection(path[1], path[2])), 'buffered');
+    assert.equal(engine.send(maze.getDirection(path[2], path[3])), 'buffered');
+    settle();
+
+    assert.deepEqual(at(player), { x: path[3].x, y: path[3].y, z: path[3].z });
+    assert.equal(player.moveCount, 3);
+});
+
+test('a buffered move into a wall drops the moves behind it', () => {
+    const { maze, player, engine, path, settle } = setup(2);
+    const { x, y, z } = path[1];
+    const wall = [...new Set(Object.values(maze.topology.actions))]
+        .find(direction => ['wall', 'boundary'].includes(maze.canMove(x, y, direction, z)));
+
+    engine.send(maze.getDirection(path[0], path[1]));
+    assert.equal(engine.send(wall), 'buffered');
+    assert.equal(engine.send(maze.getDirection(path[1], path[2])), 'buffered');
+    settle();
+
+    assert.deepEqual(at(player), { x: path[1].x, y: path[1].y, z: path[1].z });
+    assert.equal(player.collisionCount, 1);
+    assert.equal(engine.send(maze.getDirection(path[1], path[2])), 'moved');
+});
+
+test('moves sent mid-move are dropped with no buffer', () => {
+    const { maze, engine, path } = setup(0);
+    engine.send(maze.getDirection(path[0], path[1]));
+    assert.equal(engine.send(maze.getDirection(path[1], path[2])), null);
+    assert.equal(engine.queue.length, 0);
+});
@@ -0,0 +1,33 @@
+/**
+ * Maze string tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeMaze } from '../js/format.js';
+import { Maze } from '../js/maze.js';
+
+/**
+ * A maze string with its header's width and height overwritten
+ */
+function withSize(string, width, height) {
+    const bytes = Uint8Array.from(atob(string.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+    bytes.set([width >> 8, width & 255, height >> 8, height & 255], 2);
+    const binary = String.fromCharCode(...bytes);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+test('a maze string round-trips', () => {
+    const maze = new Maze(8, 6, { seed: 'format', topology: 'hex' });
+    assert.equal(Maze.fromString(maze.toString()).toString(), maze.toString());
+});
+
+test('a header claiming more cells than the string holds is rejected', () => {
+    for (const topology of ['square', 'hex', 'polar']) {
+        const string = new Maze(4, 4, { seed: 'format', topology }).toString();
+        assert.throws(() => decodeMaze(withSize(string, 65535, 65535)), /too short for a 65535x65535 maze/, topology);
+    }
+    const masked = new Maze(4, 4, { seed: 'format', mask: '.##.\n####\n####\n.##.' }).toString();
+    assert.throws(() => decodeMaze(withSize(masked, 65535, 65535)), /too short/);
+});
@@ -0,0 +1,44 @@
+/**
+ * Maze generator tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Maze } from '../js/maze.js';
+import { Random } from '../js/random.js';
+import { growingTree } from '../js/generators.js';
+
+/**
+ * Share of a maze's cells with a single way out
+ */
+function deadEndShare(maze) {
+    const ids = maze.getCellIds();
+    return ids.filter(id => maze.getOpenNeighborIds(id).length === 1).length / ids.length;
+}
+
+/**
+ * A 30x30 maze carved by growing tree with the given bias
+ */
+function growTree(seed, newestBias) {
+    const maze = new Maze(30, 30, { seed });
+    maze.initGrid();
+    growingTree(maze.getFloor(0), new Random(seed), newestBias);
+    return maze;
+}
+
+test('growing tree always extending the newest cell carves like the backtracker', () => {
+    for (const seed of ['a', 'b', 'c']) {
+        const backtracker = deadEndShare(new Maze(30, 30, { seed, algorithm: 'dfs' }));
+        const newest = deadEndShare(growTree(seed, 1));
+        assert.ok(Math.abs(newest - backtracker) < 0.03, `${seed}: ${newest} vs ${backtracker}`);
+    }
+});
+
+test('growing tree keeps the newest cell after dropping an older one', () => {
+    // Mostly newest still means long corridors, well short of the dead ends of random picks
+    for (const seed of ['a', 'b', 'c']) {
+        assert.ok(deadEndShare(growTree(seed, 0.75)) < 0.2, seed);
+        assert.ok(deadEndShare(growTree(seed, 0)) > 0.25, seed);
+    }
+});
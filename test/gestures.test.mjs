@@ -0,0 +1,47 @@
+/**
+ * Swipe gesture tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SwipeInput } from '../js/gestures.js';
+
+/**
+ * A swipe reader on a stand-in element, and a way to send it pointer events
+ */
+function setup() {
+    const listeners = {};
+    const element = { addEventListener: (type, listener) => { listeners[type] = listener; } };
+    const swipe = new SwipeInput(element, { storage: null });
+    const send = (type, x, y, timeStamp, pointerType = 'touch') =>
+        listeners[type]({ pointerId: 1, pointerType, clientX: x, clientY: y, timeStamp, target: element });
+    return { swipe, send };
+}
+
+test('a flick after the finger rests still counts', () => {
+    const { swipe, send } = setup();
+    send('pointerdown', 100, 100, 0);
+    send('pointermove', 130, 100, 600);
+    send('pointermove', 160, 100, 616);
+
+    assert.deepEqual(swipe.poll(616, true), [{ x: 60, y: 0 }]);
+});
+
+test('a slow drag does not', () => {
+    const { swipe, send } = setup();
+    send('pointerdown', 100, 100, 0);
+    for (let time = 50; time <= 500; time += 50) {
+        send('pointermove', 100 + time / 10, 100, time);
+    }
+
+    assert.deepEqual(swipe.poll(500, true), []);
+});
+
+test('a mouse does not swipe', () => {
+    const { swipe, send } = setup();
+    send('pointerdown', 100, 100, 0, 'mouse');
+    send('pointermove', 160, 100, 16, 'mouse');
+
+    assert.deepEqual(swipe.poll(16, true), []);
+});
@@ -0,0 +1,52 @@
+/**
+ * Maze tests — Invisible Maze
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Maze } from '../js/maze.js';
+import { Engine } from '../js/engine.js';
+import { Player } from '../js/player.js';
+
+const HEAVY_TERRAIN = { mud: 0.12, ice: 0.12, drain: 0.08 };
+
+/**
+ * Walk the maze's solution path through the engine, slides and all
+ * @returns {{ state: string, moves: number }}
+ */
+function followPath(maze) {
+    let now = 0;
+    const player = new Player(maze.start.x, maze.start.y, (x, y) => maze.topology.toLayout(x, y), maze.start.z);
+    player.clock = () => now;
+    const engine = new Engine(maze, player, { timeLimit: 1e6 });
+    const path = maze.findPath();
+    const at = () => path.findIndex(({ x, y, z }) => x === player.gridX && y === player.gridY && z === player.gridZ);
+
+    while (engine.state === 'playing') {
+        const here = at();
+        assert.notEqual(here, -1, 'the engine left the path');
+        assert.equal(engine.move(maze.getDirection(path[here], path[here + 1])), 'moved');
+        // Let the step, and any slide after it, play out
+        while (engine.state === 'playing' && (engine.slide || !player.canAcceptInput())) {
+            now += 16;
+            engine.update(now);
+        }
+    }
+    return { state: engine.state, moves: player.moveCount };
+}
+
+test('the solution path wins on heavy ice in the moves it counts', () => {
+    for (const seed of ['s32', ...Array.from({ length: 40 }, (_, i) => `ice:${i}`)]) {
+        const maze = new Maze(10, 10, { seed, terrain: HEAVY_TERRAIN });
+        assert.ok(maze.isSolvable(), seed);
+        assert.deepEqual(followPath(maze), { state: 'won', moves: maze.getSolutionLength() }, seed);
+    }
+});
+
+test('ice is laid where slides can carry the player past cells', () => {
+    const maze = new Maze(20, 20, { seed: 'slides', terrain: HEAVY_TERRAIN });
+    const slides = maze.getCellIds().flatMap(id => maze.getSteps(id)).filter(step => step.cells.length > 1);
+    assert.ok(slides.length > 0);
+    assert.ok(maze.isTrapFree());
+});